@@ -0,0 +1,94 @@
+// Guest session display and optional username/password account
+
+class AccountPanel {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.pendingAction = null;
+        
+        this.elements = {
+            name: document.getElementById('account-name'),
+            logout: document.getElementById('account-logout'),
+            form: document.getElementById('account-form'),
+            username: document.getElementById('account-username'),
+            password: document.getElementById('account-password'),
+            register: document.getElementById('account-register'),
+            login: document.getElementById('account-login'),
+            message: document.getElementById('account-message')
+        };
+        
+        this.setupEventListeners();
+        this.render(this.socketManager.session);
+    }
+    
+    setupEventListeners() {
+        this.elements.register.addEventListener('click', () => {
+            this.submit('register');
+        });
+        
+        this.elements.login.addEventListener('click', () => {
+            this.submit('login');
+        });
+        
+        this.elements.logout.addEventListener('click', () => {
+            this.socketManager.logout();
+            this.render(null);
+        });
+        
+        this.socketManager.on('session', (data) => {
+            if (this.pendingAction === 'login') {
+                this.showMessage(`Conectado como ${data.name}`, true);
+                this.pendingAction = null;
+            }
+            this.render(data);
+        });
+        
+        this.socketManager.on('account_updated', (data) => {
+            if (this.pendingAction === 'register') {
+                this.showMessage('Conta registrada', true);
+                this.pendingAction = null;
+            }
+            this.render(this.socketManager.session);
+        });
+        
+        this.socketManager.on('server_error', (data) => {
+            if (this.pendingAction) {
+                this.showMessage(data.message, false);
+                this.pendingAction = null;
+            }
+        });
+    }
+    
+    submit(action) {
+        const username = this.elements.username.value.trim();
+        const password = this.elements.password.value;
+        
+        if (!username || !password) {
+            this.showMessage('Informe usuário e senha', false);
+            return;
+        }
+        
+        this.pendingAction = action;
+        this.socketManager[action](username, password);
+        this.elements.password.value = '';
+    }
+    
+    render(session) {
+        const registered = session && session.guest === false;
+        
+        this.elements.name.textContent = session?.name
+            ? `${session.name}${registered ? '' : ' (convidado)'}`
+            : 'Convidado';
+        this.elements.form.classList.toggle('hidden', registered);
+        this.elements.logout.classList.toggle('hidden', !registered);
+    }
+    
+    showMessage(message, success) {
+        this.elements.message.textContent = message;
+        this.elements.message.classList.toggle('error', !success);
+        this.elements.message.classList.remove('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.accountPanel = new AccountPanel(window.socketManager);
+});
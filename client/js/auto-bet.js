@@ -0,0 +1,173 @@
+// Auto mode: the strategy runs on the server, this panel only sets it up and
+// shows the progress pushed in auto_bet_status
+
+const STOP_MESSAGES = {
+    stopped: 'Aposta automática parada',
+    rounds_completed: 'Aposta automática concluída',
+    profit_target: 'Aposta automática parada: meta de lucro atingida',
+    loss_limit: 'Aposta automática parada: limite de perda atingido',
+    player_left: 'Aposta automática parada ao sair do jogo',
+    insufficient_balance: 'Aposta automática parada: saldo insuficiente',
+    invalid_bet_amount: 'Aposta automática parada: aposta fora dos limites da sala',
+    payout_limit: 'Aposta automática parada: pagamento acima do limite'
+};
+
+class AutoBetPanel {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.status = null; // last auto_bet_status of a running strategy
+        
+        this.elements = {
+            rounds: document.getElementById('auto-bet-rounds'),
+            baseBet: document.getElementById('auto-bet-base'),
+            autoCashOut: document.getElementById('auto-bet-cashout'),
+            onWin: document.getElementById('auto-bet-on-win'),
+            onWinValue: document.getElementById('auto-bet-on-win-value'),
+            onLoss: document.getElementById('auto-bet-on-loss'),
+            onLossValue: document.getElementById('auto-bet-on-loss-value'),
+            stopOnProfit: document.getElementById('auto-bet-stop-profit'),
+            stopOnLoss: document.getElementById('auto-bet-stop-loss'),
+            progress: document.getElementById('auto-bet-progress'),
+            toggle: document.getElementById('auto-bet-toggle')
+        };
+        
+        this.setupEventListeners();
+        this.render();
+    }
+    
+    get isRunning() {
+        return this.status !== null;
+    }
+    
+    setupEventListeners() {
+        // Reset needs no value
+        [['onWin', 'onWinValue'], ['onLoss', 'onLossValue']].forEach(([action, value]) => {
+            this.elements[action].addEventListener('change', (e) => {
+                this.elements[value].disabled = e.target.value === 'reset';
+            });
+        });
+        
+        this.elements.toggle.addEventListener('click', () => {
+            if (this.isRunning) {
+                this.socketManager.stopAutoBet();
+            } else {
+                this.start();
+            }
+        });
+        
+        this.socketManager.on('auto_bet_status', (data) => {
+            this.handleStatus(data);
+        });
+    }
+    
+    readSettings() {
+        const number = (input) => parseFloat(input.value);
+        const optional = (input) => input.value === '' ? null : number(input);
+        
+        return {
+            rounds: parseInt(this.elements.rounds.value, 10),
+            baseBet: number(this.elements.baseBet),
+            autoCashOut: number(this.elements.autoCashOut),
+            onWin: this.elements.onWin.value,
+            onWinValue: this.elements.onWin.value === 'reset' ? 0 : number(this.elements.onWinValue),
+            onLoss: this.elements.onLoss.value,
+            onLossValue: this.elements.onLoss.value === 'reset' ? 0 : number(this.elements.onLossValue),
+            stopOnProfit: optional(this.elements.stopOnProfit),
+            stopOnLoss: optional(this.elements.stopOnLoss)
+        };
+    }
+    
+    start() {
+        const settings = this.readSettings();
+        
+        if (!Number.isInteger(settings.rounds) || settings.rounds < 1) {
+            window.uiManager.showNotification('Número de rodadas inválido', 'error');
+            return;
+        }
+        
+        if (!window.uiManager.isValidBetAmount(settings.baseBet)) {
+            window.uiManager.showNotification('Valor de aposta inválido', 'error');
+            return;
+        }
+        
+        if (!(settings.autoCashOut >= 1.01)) {
+            window.uiManager.showNotification('Alvo de retirada inválido', 'error');
+            return;
+        }
+        
+        this.socketManager.startAutoBet(settings);
+    }
+    
+    handleStatus(data) {
+        if (data.active) {
+            // A strategy left running before a reconnect brings auto mode back
+            if (!this.isRunning) {
+                window.uiManager.toggleMode('auto');
+            }
+            
+            this.status = data;
+        } else {
+            this.status = null;
+            
+            const message = STOP_MESSAGES[data.reason] || 'Aposta automática parada';
+            const profit = `${data.profit < 0 ? '-' : '+'}R$ ${Math.abs(data.profit).toFixed(2)}`;
+            window.uiManager.showNotification(`${message} (${data.roundsPlayed} rodadas, ${profit})`, 'info');
+        }
+        
+        this.render();
+    }
+    
+    render() {
+        const running = this.isRunning;
+        
+        Object.values(this.elements).forEach(element => {
+            if (element.tagName === 'INPUT' || element.tagName === 'SELECT') {
+                element.disabled = running;
+            }
+        });
+        
+        if (!running) {
+            this.elements.onWinValue.disabled = this.elements.onWin.value === 'reset';
+            this.elements.onLossValue.disabled = this.elements.onLoss.value === 'reset';
+        }
+        
+        this.elements.toggle.querySelector('.btn-text').textContent = running ? 'Parar automático' : 'Iniciar automático';
+        this.elements.progress.classList.toggle('hidden', !running);
+        
+        if (running) {
+            this.renderProgress(this.status);
+        }
+    }
+    
+    renderProgress(status) {
+        const { rounds } = status.settings;
+        const profit = `${status.profit < 0 ? '-' : '+'}R$ ${Math.abs(status.profit).toFixed(2)}`;
+        
+        this.elements.progress.innerHTML = '';
+        
+        [
+            ['Rodada', `${status.roundsPlayed} de ${rounds}`],
+            ['Vitórias / derrotas', `${status.wins} / ${status.losses}`],
+            ['Lucro', profit],
+            [status.betId ? 'Aposta atual' : 'Próxima aposta', `R$ ${status.nextBet.toFixed(2)}`]
+        ].forEach(([label, value]) => {
+            const field = document.createElement('div');
+            field.className = 'round-field';
+            
+            const labelElement = document.createElement('span');
+            labelElement.className = 'round-field-label';
+            labelElement.textContent = label;
+            
+            const valueElement = document.createElement('span');
+            valueElement.className = 'round-field-value';
+            valueElement.textContent = value;
+            
+            field.append(labelElement, valueElement);
+            this.elements.progress.appendChild(field);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.autoBetPanel = new AutoBetPanel(window.socketManager);
+});
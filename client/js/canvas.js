@@ -127,15 +127,35 @@ class RocketCurve {
         this.canvas = canvasManager;
         this.ctx = canvasManager.ctx;
         this.points = [];
+        this.curve = null;
+        this.samples = 120; // Points per frame when resampling the curve
         this.animationId = null;
         this.isAnimating = false;
     }
     
     reset() {
         this.points = [];
+        this.curve = null;
         this.stopAnimation();
     }
     
+    setCurve(curve) {
+        this.curve = curve;
+        this.points = [];
+    }
+    
+    // Rebuild the visible curve from the start of the flight up to `time`
+    update(time) {
+        if (!this.curve) return;
+        
+        this.points = [];
+        
+        for (let i = 0; i <= this.samples; i++) {
+            const t = (time * i) / this.samples;
+            this.addPoint(t, this.curve.multiplierAt(t));
+        }
+    }
+    
     addPoint(time, multiplier) {
         const { width, height } = this.canvas;
         
@@ -0,0 +1,130 @@
+// Room chat panel, history comes with every room change
+
+const MAX_RENDERED_MESSAGES = 100;
+
+class ChatPanel {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.errorTimeout = null;
+        
+        this.elements = {
+            messages: document.getElementById('chat-messages'),
+            form: document.getElementById('chat-form'),
+            input: document.getElementById('chat-input'),
+            error: document.getElementById('chat-error')
+        };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const text = this.elements.input.value.trim();
+            if (!text) return;
+            
+            this.socketManager.sendChatMessage(text);
+            this.elements.input.value = '';
+        });
+        
+        this.socketManager.on('chat_history', (data) => {
+            this.elements.messages.innerHTML = '';
+            data.messages.forEach(message => this.addMessage(message));
+        });
+        
+        this.socketManager.on('chat_message', (message) => {
+            this.addMessage(message);
+        });
+        
+        this.socketManager.on('chat_error', (data) => {
+            this.showError(data.message);
+        });
+    }
+    
+    addMessage(message) {
+        const list = this.elements.messages;
+        const stickToBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 20;
+        
+        list.appendChild(message.type === 'system'
+            ? this.createSystemMessage(message)
+            : this.createPlayerMessage(message));
+        
+        while (list.children.length > MAX_RENDERED_MESSAGES) {
+            list.removeChild(list.firstChild);
+        }
+        
+        // Don't pull the view away from someone reading older messages
+        if (stickToBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+    
+    createPlayerMessage(message) {
+        const item = document.createElement('div');
+        item.className = 'chat-message';
+        
+        if (message.playerId === this.socketManager.session?.playerId) {
+            item.classList.add('own');
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.textContent = message.playerName;
+        name.title = message.playerId; // names repeat, moderators can target the id
+        
+        if (message.moderator) {
+            const badge = document.createElement('span');
+            badge.className = 'chat-badge';
+            badge.textContent = 'MOD';
+            name.appendChild(badge);
+        }
+        
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+        
+        item.append(name, text);
+        
+        return item;
+    }
+    
+    createSystemMessage(message) {
+        const item = document.createElement('div');
+        item.className = `chat-message system ${message.event}`;
+        item.textContent = this.describeSystemMessage(message);
+        
+        return item;
+    }
+    
+    describeSystemMessage(message) {
+        switch (message.event) {
+            case 'big_win':
+                return `🚀 ${message.playerName} retirou em ${message.multiplier.toFixed(2)}x e ganhou R$ ${message.amount.toFixed(2)}!`;
+            case 'muted':
+                return `🔇 ${message.playerName} foi silenciado por ${message.minutes} min`;
+            case 'unmuted':
+                return `🔈 ${message.playerName} pode falar novamente`;
+            case 'banned':
+                return `🚫 ${message.playerName} foi banido do chat`;
+            case 'unbanned':
+                return `✅ ${message.playerName} foi liberado no chat`;
+            default:
+                return message.text || '';
+        }
+    }
+    
+    showError(text) {
+        this.elements.error.textContent = text;
+        this.elements.error.classList.remove('hidden');
+        
+        clearTimeout(this.errorTimeout);
+        this.errorTimeout = setTimeout(() => {
+            this.elements.error.classList.add('hidden');
+        }, 4000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.chatPanel = new ChatPanel(window.socketManager);
+});
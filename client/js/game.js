@@ -11,6 +11,8 @@ class Game {
         this.gameState = 'waiting';
         this.currentMultiplier = 1.00;
         this.gameStartTime = null;
+        this.curve = null;
+        this.clockOffset = 0; // server time - local time
         this.animationFrameId = null;
         this.isRendering = false;
         
@@ -76,6 +78,50 @@ class Game {
             this.handleGameHistory(data);
         });
         
+        this.socketManager.on('balance_update', (data) => {
+            this.uiManager.setBalance(data.balance);
+        });
+        
+        this.socketManager.on('room_joined', (data) => {
+            this.uiManager.setRoom(data);
+        });
+        
+        this.socketManager.on('bet_placed', (data) => {
+            this.uiManager.handleBetPlaced(data);
+        });
+        
+        this.socketManager.on('bet_cancelled', (data) => {
+            this.uiManager.handleBetCancelled(data);
+        });
+        
+        this.socketManager.on('bet_state', (data) => {
+            this.uiManager.restoreBets(data.bets);
+        });
+        
+        this.socketManager.on('missed_outcomes', (data) => {
+            this.uiManager.showMissedOutcomes(data.bets);
+        });
+        
+        this.socketManager.on('round_aborted', (data) => {
+            this.uiManager.handleRoundAborted(data);
+        });
+        
+        this.socketManager.on('server_shutdown', () => {
+            this.uiManager.showNotification('Servidor reiniciando: apostas em aberto serão liquidadas ou devolvidas', 'info');
+        });
+        
+        this.socketManager.on('maintenance', (data) => {
+            this.uiManager.setMaintenance(data);
+        });
+        
+        this.socketManager.on('kicked', (data) => {
+            this.uiManager.handleKicked(data);
+        });
+        
+        this.socketManager.on('server_error', (data) => {
+            this.uiManager.handleServerError(data);
+        });
+        
         this.socketManager.on('connection_status', (data) => {
             if (!data.connected) {
                 this.pauseGame();
@@ -125,7 +171,7 @@ class Game {
     }
     
     handleGameState(data) {
-        const { state, multiplier, time, countdown, nextGameIn, finalMultiplier } = data;
+        const { state, gameId, countdown, nextGameIn, finalMultiplier, startedAt, serverTime, curve } = data;
         
         this.gameState = state;
         
@@ -139,11 +185,15 @@ class Game {
                 break;
                 
             case 'flying':
-                this.handleFlyingState({ multiplier, time });
+                this.handleFlyingState({ startedAt, serverTime, curve });
                 break;
                 
             case 'crashed':
-                this.handleCrashedState({ finalMultiplier });
+                this.handleCrashedState({ gameId, finalMultiplier });
+                break;
+                
+            case 'paused':
+                this.handlePausedState();
                 break;
         }
     }
@@ -152,6 +202,7 @@ class Game {
         // Reset game state
         this.currentMultiplier = 1.00;
         this.gameStartTime = null;
+        this.curve = null;
         this.rocketCurve.reset();
         this.explosionParticles = null;
         
@@ -166,6 +217,7 @@ class Game {
         this.rocketCurve.reset();
         this.explosionParticles = null;
         this.currentMultiplier = 1.00;
+        this.curve = null;
         
         // Update UI
         this.uiManager.setGameState('starting', data);
@@ -174,30 +226,43 @@ class Game {
     }
     
     handleFlyingState(data) {
-        const { multiplier, time } = data;
+        const { startedAt, serverTime, curve } = data;
         
-        // Update game state
-        this.currentMultiplier = multiplier;
+        // Estimate the server clock offset (ignores one-way latency)
+        this.clockOffset = serverTime - Date.now();
+        this.gameStartTime = startedAt;
         
-        if (!this.gameStartTime) {
-            this.gameStartTime = Date.now() - (time * 1000);
-        }
-        
-        // Add point to curve
-        this.rocketCurve.addPoint(time, multiplier);
+        // The multiplier is computed locally every frame from the shared curve
+        this.curve = window.GrowthCurve.createCurve(curve);
+        this.rocketCurve.setCurve(this.curve);
+        this.updateFlight();
         
         // Update UI
-        this.uiManager.setGameState('flying', { multiplier });
+        this.uiManager.setGameState('flying', { multiplier: this.currentMultiplier });
+    }
+    
+    updateFlight() {
+        const elapsed = this.getElapsedTime();
         
-        // Check auto cash out
-        this.checkAutoCashOut(multiplier);
+        this.currentMultiplier = this.curve.multiplierAt(elapsed);
+        this.rocketCurve.update(elapsed);
+        this.uiManager.updateMultiplier(this.currentMultiplier);
+    }
+    
+    getElapsedTime() {
+        return (Date.now() + this.clockOffset - this.gameStartTime) / 1000;
     }
     
     handleCrashedState(data) {
-        const { finalMultiplier } = data;
+        const { gameId, finalMultiplier } = data;
         
         this.currentMultiplier = finalMultiplier;
         
+        // Snap the curve to the exact crash point
+        if (this.curve) {
+            this.rocketCurve.update(this.curve.timeAt(finalMultiplier));
+        }
+        
         // Create explosion effect
         const rocketPos = this.rocketCurve.getRocketPosition();
         if (rocketPos) {
@@ -212,11 +277,20 @@ class Game {
         this.uiManager.setGameState('crashed', { finalMultiplier });
         
         // Add to history
-        this.uiManager.addToHistory(finalMultiplier);
+        this.uiManager.addToHistory({ gameId, crashPoint: finalMultiplier });
         
         console.log(`💥 Game crashed at ${finalMultiplier.toFixed(2)}x`);
     }
     
+    handlePausedState() {
+        this.currentMultiplier = 1.00;
+        this.gameStartTime = null;
+        this.curve = null;
+        this.rocketCurve.reset();
+        
+        this.uiManager.setGameState('paused');
+    }
+    
     handlePlayerCashedOut(data) {
         this.uiManager.handlePlayerCashedOut(data);
         
@@ -232,28 +306,12 @@ class Game {
             this.uiManager.elements.historyContainer.innerHTML = '';
             
             // Add each item
-            data.history.forEach(multiplier => {
-                this.uiManager.addToHistory(multiplier);
+            data.history.forEach(entry => {
+                this.uiManager.addToHistory(entry);
             });
         }
     }
     
-    checkAutoCashOut(currentMultiplier) {
-        if (!this.uiManager.isAutoCashOut || !this.uiManager.isPlaying) {
-            return;
-        }
-        
-        const autoCashOutValue = parseFloat(this.uiManager.elements.autoCashOutValue.value);
-        
-        if (currentMultiplier >= autoCashOutValue) {
-            this.socketManager.cashOut();
-            this.uiManager.isPlaying = false;
-            this.uiManager.updateStartButton();
-            
-            console.log(`🤖 Auto cash out triggered at ${currentMultiplier.toFixed(2)}x`);
-        }
-    }
-    
     // Rendering and animation
     startRenderLoop() {
         this.isRendering = true;
@@ -280,6 +338,11 @@ class Game {
         // Draw grid
         this.canvasManager.drawGrid();
         
+        // Advance the flight locally
+        if (this.gameState === 'flying' && this.curve) {
+            this.updateFlight();
+        }
+        
         // Draw rocket curve
         if (this.gameState === 'flying' || this.gameState === 'crashed') {
             this.rocketCurve.draw();
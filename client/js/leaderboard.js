@@ -0,0 +1,117 @@
+// Daily, weekly and all-time rankings pushed by the server
+
+class LeaderboardPanel {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.period = 'daily';
+        this.metric = 'profit';
+        
+        this.elements = {
+            tabs: document.querySelectorAll('.leaderboard-tab'),
+            metric: document.getElementById('leaderboard-metric'),
+            list: document.getElementById('leaderboard-list'),
+            own: document.getElementById('leaderboard-own')
+        };
+        
+        this.setupEventListeners();
+        this.subscribe();
+    }
+    
+    setupEventListeners() {
+        this.elements.tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.period = tab.dataset.period;
+                this.elements.tabs.forEach(other => other.classList.toggle('active', other === tab));
+                this.subscribe();
+            });
+        });
+        
+        this.elements.metric.addEventListener('change', (e) => {
+            this.metric = e.target.value;
+            this.subscribe();
+        });
+        
+        // The subscription lives on the socket, renew it on every connection
+        this.socketManager.on('connection_status', (data) => {
+            if (data.connected) this.subscribe();
+        });
+        
+        // Own rank needs the player id the session brings
+        this.socketManager.on('session', () => this.subscribe());
+        
+        this.socketManager.on('leaderboard_update', (data) => {
+            if (data.period !== this.period || data.metric !== this.metric) return;
+            this.render(data);
+        });
+    }
+    
+    subscribe() {
+        if (this.socketManager.isConnected) {
+            this.socketManager.getLeaderboard(this.period, this.metric);
+        }
+    }
+    
+    formatValue(value) {
+        if (this.metric === 'biggestMultiplier') {
+            return `${value.toFixed(2)}x`;
+        }
+        
+        const sign = value < 0 ? '-' : '';
+        return `${sign}R$ ${Math.abs(value).toFixed(2)}`;
+    }
+    
+    render(board) {
+        const ownId = board.player?.playerId;
+        
+        this.elements.list.innerHTML = '';
+        
+        if (board.entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'players-empty';
+            empty.textContent = 'Nenhuma aposta no período';
+            this.elements.list.appendChild(empty);
+        }
+        
+        board.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `leaderboard-item${entry.playerId === ownId ? ' own' : ''}`;
+            
+            const rank = document.createElement('span');
+            rank.className = 'leaderboard-rank';
+            rank.textContent = `${entry.rank}º`;
+            
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = entry.name;
+            
+            const value = document.createElement('span');
+            value.className = `leaderboard-value${entry.value < 0 ? ' negative' : ''}`;
+            value.textContent = this.formatValue(entry.value);
+            
+            item.append(rank, name, value);
+            this.elements.list.appendChild(item);
+        });
+        
+        this.renderOwn(board);
+    }
+    
+    // Own position, shown below the list when it's not already in it
+    renderOwn(board) {
+        const player = board.player;
+        const listed = player && board.entries.some(entry => entry.playerId === player.playerId);
+        
+        if (!player || listed) {
+            this.elements.own.classList.add('hidden');
+            return;
+        }
+        
+        this.elements.own.textContent = player.rank
+            ? `Sua posição: ${player.rank}º de ${board.totalPlayers} · ${this.formatValue(player.value)}`
+            : 'Você ainda não está no ranking deste período';
+        this.elements.own.classList.remove('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.leaderboardPanel = new LeaderboardPanel(window.socketManager);
+});
@@ -0,0 +1,68 @@
+// Room selector fed by the GET /rooms lobby listing
+
+class RoomLobby {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.refreshInterval = null;
+        
+        this.elements = {
+            select: document.getElementById('room-select')
+        };
+        
+        this.setupEventListeners();
+        this.refresh();
+        
+        this.refreshInterval = setInterval(() => this.refresh(), 10000);
+    }
+    
+    setupEventListeners() {
+        this.elements.select.addEventListener('change', (e) => {
+            this.socketManager.joinRoom(e.target.value);
+        });
+        
+        this.socketManager.on('room_joined', (data) => {
+            this.elements.select.value = data.roomId;
+        });
+        
+        // A refused room change leaves the selector on the current room
+        this.socketManager.on('server_error', () => {
+            if (this.socketManager.roomId) {
+                this.elements.select.value = this.socketManager.roomId;
+            }
+        });
+    }
+    
+    async refresh() {
+        try {
+            const response = await fetch(`${this.socketManager.getApiUrl()}/rooms`);
+            const { rooms } = await response.json();
+            
+            this.render(rooms);
+        } catch (error) {
+            console.error('Erro ao carregar salas:', error);
+        }
+    }
+    
+    render(rooms) {
+        this.elements.select.innerHTML = '';
+        
+        rooms.forEach(room => {
+            const option = document.createElement('option');
+            const lastCrash = room.lastCrashPoints.length > 0
+                ? ` · ${room.lastCrashPoints[0].toFixed(2)}x`
+                : '';
+            
+            option.value = room.id;
+            option.textContent = `${room.name} · ${room.players} ${room.players === 1 ? 'jogador' : 'jogadores'}${lastCrash}`;
+            this.elements.select.appendChild(option);
+        });
+        
+        if (this.socketManager.roomId) {
+            this.elements.select.value = this.socketManager.roomId;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.roomLobby = new RoomLobby(window.socketManager);
+});
@@ -0,0 +1,162 @@
+// Live list of the bets in the current round
+
+class RoundRoster {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.bets = new Map(); // betId -> entry
+        this.roundId = null;
+        this.roundOver = false;
+        
+        this.elements = {
+            list: document.getElementById('players-list'),
+            summary: document.getElementById('players-summary')
+        };
+        
+        this.setupEventListeners();
+        this.render();
+    }
+    
+    setupEventListeners() {
+        this.socketManager.on('round_roster', (data) => {
+            this.bets.clear();
+            this.roundId = data.roundId;
+            data.bets.forEach(bet => this.addBet(bet));
+            this.render();
+        });
+        
+        this.socketManager.on('player_bet', (data) => {
+            this.addBet(data);
+            this.render();
+        });
+        
+        // Bets taken back before takeoff, ours arrive as bet_cancelled
+        ['player_bet_cancelled', 'bet_cancelled'].forEach(event => {
+            this.socketManager.on(event, (data) => {
+                this.bets.delete(data.betId);
+                this.render();
+            });
+        });
+        
+        this.socketManager.on('player_cashed_out', (data) => {
+            const entry = this.bets.get(data.betId);
+            if (!entry) return;
+            
+            // Partial cash outs add up, the rest of the stake keeps riding
+            entry.cashOuts.push({ amount: data.stake, multiplier: data.multiplier, payout: data.amount });
+            entry.remaining = data.remaining;
+            entry.cashOutMultiplier = data.multiplier;
+            entry.payout = Math.round((entry.payout + data.amount) * 100) / 100;
+            this.render();
+        });
+        
+        this.socketManager.on('game_state', (data) => {
+            if (data.gameId !== undefined && data.gameId !== this.roundId) {
+                // New round, start from an empty list
+                this.bets.clear();
+                this.roundId = data.gameId;
+            }
+            
+            this.roundOver = data.state === 'crashed';
+            this.render();
+        });
+    }
+    
+    addBet(bet) {
+        this.bets.set(bet.betId, {
+            betId: bet.betId,
+            playerName: bet.playerName || 'Anônimo',
+            slot: bet.slot,
+            amount: bet.amount,
+            remaining: bet.remaining ?? bet.amount,
+            cashOuts: bet.cashOuts ? [...bet.cashOuts] : [],
+            cashOutMultiplier: bet.cashOutMultiplier || null,
+            payout: bet.payout || 0
+        });
+    }
+    
+    // A bet with part of its stake still riding stays pending, once the round
+    // is over any cash out makes it a win
+    getStatus(entry) {
+        if (entry.cashOuts.length > 0 && (entry.remaining === 0 || this.roundOver)) return 'won';
+        return this.roundOver ? 'lost' : 'pending';
+    }
+    
+    // Cashed out first (best profit on top), then the biggest stakes
+    getSortedEntries() {
+        return Array.from(this.bets.values()).sort((a, b) => {
+            const profitA = this.getStatus(a) === 'won' ? a.payout - a.amount : -Infinity;
+            const profitB = this.getStatus(b) === 'won' ? b.payout - b.amount : -Infinity;
+            
+            if (profitA !== profitB) return profitB - profitA;
+            return b.amount - a.amount;
+        });
+    }
+    
+    render() {
+        const entries = this.getSortedEntries();
+        const totalStake = entries.reduce((sum, entry) => sum + entry.amount, 0);
+        
+        this.elements.summary.textContent = `${entries.length} ${entries.length === 1 ? 'aposta' : 'apostas'} · R$ ${totalStake.toFixed(2)}`;
+        this.elements.list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'players-empty';
+            empty.textContent = 'Nenhuma aposta nesta rodada';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            this.elements.list.appendChild(this.createItem(entry));
+        });
+    }
+    
+    createItem(entry) {
+        const status = this.getStatus(entry);
+        const item = document.createElement('div');
+        item.className = `player-item ${status}`;
+        
+        const name = document.createElement('span');
+        name.className = 'player-name';
+        name.textContent = entry.slot > 0 ? `${entry.playerName} (2ª)` : entry.playerName;
+        
+        const stake = document.createElement('span');
+        stake.className = 'player-stake';
+        stake.textContent = `R$ ${entry.amount.toFixed(2)}`;
+        
+        const result = document.createElement('span');
+        result.className = 'player-cashout';
+        
+        const multipliers = entry.cashOuts.map(cashOut => `${cashOut.multiplier.toFixed(2)}x`).join(' + ');
+        
+        if (status === 'won') {
+            result.textContent = `${multipliers} · ${formatProfit(entry.payout - entry.amount)}`;
+        } else if (status === 'lost') {
+            result.textContent = `-R$ ${entry.amount.toFixed(2)}`;
+        } else if (entry.cashOuts.length > 0) {
+            result.textContent = `${multipliers} · R$ ${entry.remaining.toFixed(2)} no ar`;
+        } else {
+            result.textContent = '-';
+        }
+        
+        // Each partial cash out in full on hover
+        if (entry.cashOuts.length > 1 || entry.remaining > 0) {
+            result.title = entry.cashOuts
+                .map(cashOut => `R$ ${cashOut.amount.toFixed(2)} em ${cashOut.multiplier.toFixed(2)}x → R$ ${cashOut.payout.toFixed(2)}`)
+                .join('\n');
+        }
+        
+        item.append(name, stake, result);
+        
+        return item;
+    }
+}
+
+function formatProfit(amount) {
+    return `${amount < 0 ? '-' : '+'}R$ ${Math.abs(amount).toFixed(2)}`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.roundRoster = new RoundRoster(window.socketManager);
+});
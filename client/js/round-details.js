@@ -0,0 +1,247 @@
+// Round details modal, opened by clicking a history chip
+
+class RoundDetails {
+    constructor(socketManager) {
+        this.socketManager = socketManager;
+        this.gameId = null;
+        
+        this.elements = {
+            history: document.getElementById('history-container'),
+            modal: document.getElementById('round-modal'),
+            title: document.getElementById('round-modal-title'),
+            body: document.getElementById('round-modal-body'),
+            close: document.getElementById('round-modal-close')
+        };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        // Chips are replaced on every round, so listen on the container
+        this.elements.history.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            const gameId = Number(item?.dataset.gameId);
+            
+            if (Number.isInteger(gameId)) {
+                this.open(gameId);
+            }
+        });
+        
+        this.elements.close.addEventListener('click', () => this.close());
+        
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.close();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+    
+    async open(gameId) {
+        this.gameId = gameId;
+        this.elements.title.textContent = `Rodada #${gameId}`;
+        this.showMessage('Carregando...');
+        this.elements.modal.classList.remove('hidden');
+        
+        try {
+            const response = await fetch(`${this.socketManager.getApiUrl()}/rounds/${gameId}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Falha ao buscar rodada');
+            }
+            
+            // Another chip was clicked while this one was loading
+            if (this.gameId !== gameId) return;
+            
+            this.render(data.round);
+        } catch (error) {
+            console.error('Erro ao carregar rodada:', error);
+            this.showMessage('Não foi possível carregar a rodada');
+        }
+    }
+    
+    close() {
+        this.gameId = null;
+        this.elements.modal.classList.add('hidden');
+    }
+    
+    showMessage(message) {
+        this.elements.body.innerHTML = '';
+        
+        const text = document.createElement('div');
+        text.className = 'round-message';
+        text.textContent = message;
+        this.elements.body.appendChild(text);
+    }
+    
+    render(round) {
+        this.elements.body.innerHTML = '';
+        this.elements.body.appendChild(this.createSummary(round));
+        this.elements.body.appendChild(this.createSeeds(round));
+        this.elements.body.appendChild(this.createBets(round.bets));
+    }
+    
+    createSummary(round) {
+        const duration = (round.crashedAt - round.startedAt) / 1000;
+        const summary = document.createElement('div');
+        summary.className = 'round-summary';
+        
+        [
+            ['Crash', `${round.crashPoint.toFixed(2)}x`],
+            ['Sala', round.roomId || '-'],
+            ['Início', new Date(round.startedAt).toLocaleTimeString('pt-BR')],
+            ['Duração', `${duration.toFixed(1)}s`],
+            ['Apostas', `${round.betCount} de ${round.playerCount} ${round.playerCount === 1 ? 'jogador' : 'jogadores'}`],
+            ['Apostado', `R$ ${round.totalBets.toFixed(2)}`],
+            ['Pago', `R$ ${round.totalPayouts.toFixed(2)}`],
+            ['Lucro da casa', `R$ ${round.houseProfit.toFixed(2)}`]
+        ].forEach(([label, value]) => {
+            summary.appendChild(this.createField(label, value));
+        });
+        
+        return summary;
+    }
+    
+    createSeeds(round) {
+        const seeds = document.createElement('div');
+        seeds.className = 'round-seeds';
+        
+        seeds.appendChild(this.createField('Server seed', round.serverSeed, true));
+        seeds.appendChild(this.createField('Hash da seed', round.serverSeedHash, true));
+        seeds.appendChild(this.createField('Client seed', round.clientSeed, true));
+        seeds.appendChild(this.createField('Origem da client seed', this.describeSeedSource(round.seedChain)));
+        
+        const verifyBtn = document.createElement('button');
+        verifyBtn.className = 'verify-btn';
+        verifyBtn.textContent = 'Verificar rodada';
+        
+        const result = document.createElement('div');
+        result.className = 'fairness-result hidden';
+        
+        verifyBtn.addEventListener('click', () => this.verify(round.id, result));
+        
+        seeds.appendChild(verifyBtn);
+        seeds.appendChild(result);
+        
+        return seeds;
+    }
+    
+    describeSeedSource(seedChain) {
+        if (!seedChain) return '-';
+        
+        if (seedChain.clientSeedSource === 'server') {
+            return 'Servidor (cadeia inicial)';
+        }
+        
+        const ownSeed = window.fairnessPanel && seedChain.seeds.includes(window.fairnessPanel.playerSeed);
+        return `${seedChain.seeds.length} seeds de jogadores${ownSeed ? ', incluindo a sua' : ''}`;
+    }
+    
+    async verify(gameId, result) {
+        try {
+            const { valid, result: computed, chainPosition } = await window.fairnessVerifier.verifyRound(gameId);
+            
+            result.textContent = valid
+                ? `✔ Crash em ${computed.crashPoint.toFixed(2)}x confere com as seeds (rodada ${chainPosition} da cadeia)`
+                : '✘ As seeds não conferem com o resultado ou com a cadeia publicada';
+            result.classList.toggle('error', !valid);
+        } catch (error) {
+            console.error('Erro ao verificar rodada:', error);
+            result.textContent = 'Não foi possível verificar a rodada';
+            result.classList.add('error');
+        }
+        
+        result.classList.remove('hidden');
+    }
+    
+    createBets(bets) {
+        const list = document.createElement('div');
+        list.className = 'round-bets';
+        
+        if (bets.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'players-empty';
+            empty.textContent = 'Nenhuma aposta nesta rodada';
+            list.appendChild(empty);
+            return list;
+        }
+        
+        bets.forEach(bet => list.appendChild(this.createBet(bet)));
+        
+        return list;
+    }
+    
+    createBet(bet) {
+        const status = bet.outcome === 'won' ? 'won' : bet.outcome === 'lost' ? 'lost' : 'pending';
+        const item = document.createElement('div');
+        item.className = `player-item ${status}`;
+        
+        const playerName = bet.playerName || 'Anônimo';
+        const name = document.createElement('span');
+        name.className = 'player-name';
+        name.textContent = bet.slot > 0 ? `${playerName} (2ª)` : playerName;
+        
+        const stake = document.createElement('span');
+        stake.className = 'player-stake';
+        stake.textContent = bet.autoCashOut
+            ? `R$ ${bet.amount.toFixed(2)} · auto ${bet.autoCashOut.toFixed(2)}x`
+            : `R$ ${bet.amount.toFixed(2)}`;
+        
+        const result = document.createElement('span');
+        result.className = 'player-cashout';
+        
+        // Bets stored before partial cash outs have no list
+        const cashOuts = bet.cashOuts?.length > 0
+            ? bet.cashOuts
+            : bet.cashOutMultiplier ? [{ amount: bet.amount, multiplier: bet.cashOutMultiplier, payout: bet.payout }] : [];
+        const multipliers = cashOuts.map(cashOut => `${cashOut.multiplier.toFixed(2)}x`).join(' + ');
+        const cashedOut = cashOuts.reduce((sum, cashOut) => sum + cashOut.amount, 0);
+        
+        if (bet.outcome === 'won') {
+            const profit = bet.payout - bet.amount;
+            result.textContent = `${multipliers} · ${profit < 0 ? '-' : '+'}R$ ${Math.abs(profit).toFixed(2)}`;
+        } else if (bet.outcome === 'lost') {
+            result.textContent = `-R$ ${bet.amount.toFixed(2)}`;
+        } else if (cashOuts.length > 0) {
+            result.textContent = `${multipliers} · R$ ${(bet.amount - cashedOut).toFixed(2)} devolvida`;
+        } else {
+            result.textContent = 'Devolvida';
+        }
+        
+        if (cashOuts.length > 1) {
+            result.title = cashOuts
+                .map(cashOut => `R$ ${cashOut.amount.toFixed(2)} em ${cashOut.multiplier.toFixed(2)}x → R$ ${cashOut.payout.toFixed(2)}`)
+                .join('\n');
+        }
+        
+        item.appendChild(name);
+        item.appendChild(stake);
+        item.appendChild(result);
+        
+        return item;
+    }
+    
+    createField(label, value, code = false) {
+        const field = document.createElement('div');
+        field.className = 'round-field';
+        
+        const labelElement = document.createElement('span');
+        labelElement.className = 'round-field-label';
+        labelElement.textContent = label;
+        
+        const valueElement = document.createElement(code ? 'code' : 'span');
+        valueElement.className = 'round-field-value';
+        valueElement.textContent = value;
+        
+        field.appendChild(labelElement);
+        field.appendChild(valueElement);
+        
+        return field;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.roundDetails = new RoundDetails(window.socketManager);
+});
@@ -10,6 +10,10 @@ class SocketManager {
         
         this.eventCallbacks = new Map();
         
+        // Session token issued by the server, kept across reloads
+        this.session = this.loadSession();
+        this.roomId = localStorage.getItem('crashRocketRoom');
+        
         this.connect();
     }
     
@@ -22,7 +26,9 @@ class SocketManager {
             reconnection: true,
             reconnectionAttempts: this.maxReconnectAttempts,
             reconnectionDelay: this.reconnectDelay,
-            timeout: 20000
+            timeout: 20000,
+            // Evaluated on every (re)connection so a new token is picked up
+            auth: (cb) => cb({ token: this.session?.token || null, roomId: this.roomId })
         });
         
         this.setupEventHandlers();
@@ -38,6 +44,11 @@ class SocketManager {
         return process.env.SOCKET_URL || 'wss://your-backend-url.railway.app';
     }
     
+    getApiUrl() {
+        // HTTP endpoints live on the same host as the socket server
+        return this.getSocketUrl().replace(/^ws(s?):\/\//, 'http$1://');
+    }
+    
     setupEventHandlers() {
         this.socket.on('connect', () => {
             console.log('🚀 Conectado ao servidor');
@@ -56,6 +67,26 @@ class SocketManager {
             console.error('🔴 Erro de conexão:', error);
             this.reconnectAttempts++;
             
+            // Temporary ban from the flood protection
+            if (error.data?.code === 'banned') {
+                this.emit('server_error', {
+                    code: 'banned',
+                    message: `Muitas requisições, tente novamente em ${error.data.retryAfter}s`
+                });
+            }
+            
+            // Account banned through the admin API
+            if (error.data?.code === 'account_banned') {
+                const until = error.data.until
+                    ? ` até ${new Date(error.data.until).toLocaleString('pt-BR')}`
+                    : '';
+                
+                this.emit('server_error', {
+                    code: 'account_banned',
+                    message: `Conta banida${until}${error.data.reason ? `: ${error.data.reason}` : ''}`
+                });
+            }
+            
             if (this.reconnectAttempts >= this.maxReconnectAttempts) {
                 this.emit('connection_error', { 
                     error: 'Falha ao conectar após várias tentativas',
@@ -90,10 +121,114 @@ class SocketManager {
             this.emit('player_cashed_out', data);
         });
         
+        this.socket.on('player_bet_cancelled', (data) => {
+            this.emit('player_bet_cancelled', data);
+        });
+        
+        this.socket.on('round_roster', (data) => {
+            this.emit('round_roster', data);
+        });
+        
+        this.socket.on('leaderboard_update', (data) => {
+            this.emit('leaderboard_update', data);
+        });
+        
+        // Chat events
+        this.socket.on('chat_history', (data) => {
+            this.emit('chat_history', data);
+        });
+        
+        this.socket.on('chat_message', (data) => {
+            this.emit('chat_message', data);
+        });
+        
+        this.socket.on('chat_error', (data) => {
+            this.emit('chat_error', data);
+        });
+        
         this.socket.on('game_history', (data) => {
             this.emit('game_history', data);
         });
         
+        this.socket.on('balance_update', (data) => {
+            this.emit('balance_update', data);
+        });
+        
+        this.socket.on('bet_placed', (data) => {
+            this.emit('bet_placed', data);
+        });
+        
+        this.socket.on('bet_cancelled', (data) => {
+            this.emit('bet_cancelled', data);
+        });
+        
+        this.socket.on('auto_bet_status', (data) => {
+            this.emit('auto_bet_status', data);
+        });
+        
+        // Provably fair seed chains
+        this.socket.on('seed_chains', (data) => {
+            this.emit('seed_chains', data);
+        });
+        
+        this.socket.on('seed_contributed', (data) => {
+            this.emit('seed_contributed', data);
+        });
+        
+        // Rooms
+        this.socket.on('room_joined', (data) => {
+            this.roomId = data.roomId;
+            localStorage.setItem('crashRocketRoom', data.roomId);
+            this.emit('room_joined', data);
+        });
+        
+        this.socket.on('room_left', (data) => {
+            this.emit('room_left', data);
+        });
+        
+        // Bet state restored after a reconnect
+        this.socket.on('bet_state', (data) => {
+            this.emit('bet_state', data);
+        });
+        
+        this.socket.on('missed_outcomes', (data) => {
+            this.emit('missed_outcomes', data);
+        });
+        
+        // Round cancelled before it crashed, open bets are refunded
+        this.socket.on('round_aborted', (data) => {
+            this.emit('round_aborted', data);
+        });
+        
+        this.socket.on('server_shutdown', (data) => {
+            this.emit('server_shutdown', data);
+        });
+        
+        // Account events
+        this.socket.on('session', (data) => {
+            this.saveSession(data);
+            this.emit('session', data);
+            
+            // Logged into another account: reconnect with its token
+            if (data.reconnect) {
+                this.socket.disconnect();
+                this.socket.connect();
+            }
+        });
+        
+        this.socket.on('account_updated', (data) => {
+            this.saveSession({ ...this.session, ...data });
+            this.emit('account_updated', data);
+        });
+        
+        this.socket.on('maintenance', (data) => {
+            this.emit('maintenance', data);
+        });
+        
+        this.socket.on('kicked', (data) => {
+            this.emit('kicked', data);
+        });
+        
         this.socket.on('error', (data) => {
             console.error('🚨 Erro do servidor:', data);
             this.emit('server_error', data);
@@ -140,27 +275,99 @@ class SocketManager {
     }
     
     // Game specific methods
-    placeBet(amount, autoCashOut = null) {
+    placeBet(amount, autoCashOut = null, slot = 0) {
         this.send('place_bet', {
             amount: amount,
             autoCashOut: autoCashOut,
+            slot: slot,
             timestamp: Date.now()
         });
     }
     
-    cashOut() {
+    cashOut(betId, fraction = 1) {
         this.send('cash_out', {
+            betId: betId,
+            fraction: fraction,
             timestamp: Date.now()
         });
     }
     
+    cancelBet(betId) {
+        this.send('cancel_bet', {
+            betId: betId
+        });
+    }
+    
+    startAutoBet(settings) {
+        this.send('start_auto_bet', settings);
+    }
+    
+    stopAutoBet() {
+        this.send('stop_auto_bet', {});
+    }
+    
+    contributeSeed(seed) {
+        this.send('contribute_seed', {
+            seed: seed
+        });
+    }
+    
     joinGame(playerName = null) {
         this.send('join_game', {
-            playerName: playerName || this.generatePlayerName(),
+            playerName: playerName || this.session?.name || this.generatePlayerName(),
             timestamp: Date.now()
         });
     }
     
+    joinRoom(roomId) {
+        this.send('join_room', { roomId });
+    }
+    
+    leaveRoom() {
+        this.send('leave_room', {});
+    }
+    
+    sendChatMessage(text) {
+        this.send('chat_message', { text });
+    }
+    
+    getLeaderboard(period, metric) {
+        this.send('get_leaderboard', { period, metric });
+    }
+    
+    register(username, password) {
+        this.send('register', { username, password });
+    }
+    
+    login(username, password) {
+        this.send('login', { username, password });
+    }
+    
+    logout() {
+        this.saveSession(null);
+        this.socket.disconnect();
+        this.socket.connect();
+    }
+    
+    // Session persistence
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem('crashRocketSession'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    saveSession(session) {
+        this.session = session;
+        
+        if (session) {
+            localStorage.setItem('crashRocketSession', JSON.stringify(session));
+        } else {
+            localStorage.removeItem('crashRocketSession');
+        }
+    }
+    
     generatePlayerName() {
         const adjectives = ['Rápido', 'Sortudo', 'Corajoso', 'Esperto', 'Audaz'];
         const nouns = ['Piloto', 'Astronauta', 'Foguete', 'Explorador', 'Aventureiro'];
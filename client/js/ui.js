@@ -1,62 +1,38 @@
 // UI management and user interactions
 
-class UIManager {
-    constructor() {
-        this.elements = {};
-        this.gameState = 'waiting';
-        this.playerBalance = 1000.00;
+// One bet slot: amount, auto cash out target and its own action button
+class BetPanel {
+    constructor(uiManager, container) {
+        this.uiManager = uiManager;
+        this.slot = parseInt(container.dataset.slot, 10);
+        
+        this.betId = null;
         this.currentBet = 0;
         this.isAutoCashOut = false;
-        this.autoCashOutValue = 2.00;
         this.isPlaying = false;
+        this.isCancelling = false;
+        
+        this.elements = {
+            container: container,
+            betAmount: container.querySelector('.bet-amount'),
+            betControlBtns: container.querySelectorAll('.bet-control-btn'),
+            autoCashOutToggle: container.querySelector('.auto-cashout'),
+            autoCashOutValue: container.querySelector('.auto-cashout-value'),
+            clearBtn: container.querySelector('.clear-btn'),
+            startBtn: container.querySelector('.start-button'),
+            splitBtn: container.querySelector('.split-cashout-btn'),
+            btnText: container.querySelector('.btn-text'),
+            btnLoading: container.querySelector('.btn-loading')
+        };
         
-        this.initializeElements();
         this.setupEventListeners();
-        this.updateBalance();
     }
     
-    initializeElements() {
-        this.elements = {
-            // Control panel
-            modeToggle: document.querySelectorAll('.toggle-btn'),
-            betAmount: document.getElementById('bet-amount'),
-            betControlBtns: document.querySelectorAll('.bet-control-btn'),
-            autoCashOutToggle: document.getElementById('auto-cashout'),
-            autoCashOutValue: document.getElementById('auto-cashout-value'),
-            clearBtn: document.querySelector('.clear-btn'),
-            startBtn: document.getElementById('main-action-btn'),
-            btnText: document.querySelector('.btn-text'),
-            btnLoading: document.querySelector('.btn-loading'),
-            
-            // Player info
-            playerBalance: document.getElementById('player-balance'),
-            lastWin: document.getElementById('last-win'),
-            lastWinAmount: document.getElementById('last-win-amount'),
-            
-            // Game overlay
-            multiplier: document.getElementById('multiplier'),
-            countdown: document.getElementById('countdown'),
-            crashStatus: document.getElementById('crash-status'),
-            crashMultiplier: document.getElementById('crash-multiplier'),
-            waitingScreen: document.getElementById('waiting-screen'),
-            waitingTimer: document.getElementById('waiting-timer'),
-            
-            // History
-            historyContainer: document.getElementById('history-container'),
-            
-            // Players
-            playersList: document.getElementById('players-list')
-        };
+    get label() {
+        return `Aposta ${this.slot + 1}`;
     }
     
     setupEventListeners() {
-        // Mode toggle
-        this.elements.modeToggle.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.toggleMode(e.target.dataset.mode);
-            });
-        });
-        
         // Bet controls
         this.elements.betControlBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -79,6 +55,11 @@ class UIManager {
             this.handleMainAction();
         });
         
+        // Partial cash out, the rest keeps riding
+        this.elements.splitBtn.addEventListener('click', () => {
+            this.cashOut(parseFloat(this.elements.splitBtn.dataset.fraction));
+        });
+        
         // Bet amount validation
         this.elements.betAmount.addEventListener('input', (e) => {
             this.validateBetAmount(e.target.value);
@@ -98,16 +79,6 @@ class UIManager {
         });
     }
     
-    toggleMode(mode) {
-        this.elements.modeToggle.forEach(btn => btn.classList.remove('active'));
-        document.querySelector(`[data-mode="${mode}"]`).classList.add('active');
-        
-        // Auto mode functionality would be implemented here
-        if (mode === 'auto') {
-            console.log('Modo automático ativado');
-        }
-    }
-    
     adjustBetAmount(action) {
         const currentValue = parseFloat(this.elements.betAmount.value) || 0;
         let newValue;
@@ -121,11 +92,12 @@ class UIManager {
                 break;
         }
         
-        // Ensure minimum bet
-        newValue = Math.max(newValue, 1);
+        // Ensure room limits
+        const { minBet, maxBet } = this.uiManager.limits;
+        newValue = Math.min(Math.max(newValue, minBet), maxBet);
         
         // Ensure not exceeding balance
-        newValue = Math.min(newValue, this.playerBalance);
+        newValue = Math.min(newValue, this.uiManager.playerBalance);
         
         this.elements.betAmount.value = newValue.toFixed(2);
         this.validateBetAmount(newValue);
@@ -141,7 +113,7 @@ class UIManager {
     }
     
     clearBet() {
-        this.elements.betAmount.value = '10.00';
+        this.elements.betAmount.value = Math.max(10, this.uiManager.limits.minBet).toFixed(2);
         this.elements.autoCashOutToggle.checked = false;
         this.toggleAutoCashOut(false);
         this.elements.autoCashOutValue.value = '2.00';
@@ -149,7 +121,7 @@ class UIManager {
     
     validateBetAmount(value) {
         const amount = parseFloat(value) || 0;
-        const isValid = amount >= 1 && amount <= this.playerBalance;
+        const isValid = this.uiManager.isValidBetAmount(amount);
         
         this.elements.betAmount.style.borderColor = isValid ? '' : '#e53e3e';
         this.updateStartButton();
@@ -167,9 +139,15 @@ class UIManager {
     }
     
     handleMainAction() {
-        if (this.gameState === 'waiting' || this.gameState === 'starting') {
-            this.placeBet();
-        } else if (this.gameState === 'flying' && this.isPlaying) {
+        const gameState = this.uiManager.gameState;
+        
+        if (gameState === 'waiting' || gameState === 'starting') {
+            if (this.isPlaying) {
+                this.cancelBet();
+            } else {
+                this.placeBet();
+            }
+        } else if (gameState === 'flying' && this.isPlaying) {
             this.cashOut();
         }
     }
@@ -178,12 +156,12 @@ class UIManager {
         const betAmount = parseFloat(this.elements.betAmount.value) || 0;
         
         if (!this.validateBetAmount(betAmount)) {
-            this.showNotification('Valor de aposta inválido', 'error');
+            this.uiManager.showNotification('Valor de aposta inválido', 'error');
             return;
         }
         
-        if (betAmount > this.playerBalance) {
-            this.showNotification('Saldo insuficiente', 'error');
+        if (betAmount > this.uiManager.playerBalance) {
+            this.uiManager.showNotification('Saldo insuficiente', 'error');
             return;
         }
         
@@ -191,53 +169,103 @@ class UIManager {
         
         // Send bet to server
         if (window.socketManager) {
-            window.socketManager.placeBet(betAmount, autoCashOut);
+            window.socketManager.placeBet(betAmount, autoCashOut, this.slot);
         }
         
-        // Update local state
+        // Update local state, the bet id arrives with bet_placed
+        this.betId = null;
         this.currentBet = betAmount;
-        this.playerBalance -= betAmount;
         this.isPlaying = true;
         
-        this.updateBalance();
         this.updateStartButton();
-        this.showNotification(`Aposta de R$ ${betAmount.toFixed(2)} realizada!`, 'success');
     }
     
-    cashOut() {
-        if (!this.isPlaying) return;
+    // Until takeoff; the panel is freed once the server confirms the refund
+    cancelBet() {
+        if (!this.isPlaying || !this.betId || this.isCancelling) return;
+        
+        if (window.socketManager) {
+            window.socketManager.cancelBet(this.betId);
+        }
+        
+        this.isCancelling = true;
+        this.updateStartButton();
+    }
+    
+    // `fraction` of the stake still riding; the panel keeps playing until the
+    // server confirms what is left
+    cashOut(fraction = 1) {
+        if (!this.isPlaying || !this.betId) return;
         
         // Send cash out to server
         if (window.socketManager) {
-            window.socketManager.cashOut();
+            window.socketManager.cashOut(this.betId, fraction);
         }
         
-        this.isPlaying = false;
+        if (fraction >= 1) {
+            this.isPlaying = false;
+        }
+        this.updateStartButton();
+    }
+    
+    // Bet accepted by the server (or restored after a reconnect)
+    setBet(bet) {
+        this.betId = bet.betId;
+        this.currentBet = bet.remaining ?? bet.amount;
+        this.isPlaying = !bet.cashedOut;
         this.updateStartButton();
     }
     
+    // Bet (or its cancellation) rejected before it reached the round
+    cancelPending() {
+        this.isCancelling = false;
+        
+        if (this.isPlaying && !this.betId) {
+            this.isPlaying = false;
+            this.currentBet = 0;
+            this.updateStartButton();
+        }
+    }
+    
+    reset() {
+        this.betId = null;
+        this.currentBet = 0;
+        this.isPlaying = false;
+        this.isCancelling = false;
+    }
+    
     updateStartButton() {
+        const gameState = this.uiManager.gameState;
         const btn = this.elements.startBtn;
         const btnText = this.elements.btnText;
         const btnLoading = this.elements.btnLoading;
         
-        if (this.gameState === 'waiting' || this.gameState === 'starting') {
-            if (this.isPlaying) {
+        const canSplit = gameState === 'flying' && this.isPlaying;
+        this.elements.splitBtn.classList.toggle('hidden', !canSplit);
+        this.elements.splitBtn.disabled = !canSplit || !this.betId;
+        
+        if (gameState === 'waiting' || gameState === 'starting') {
+            if (this.isPlaying && this.betId) {
+                // Accepted bets can be taken back until takeoff
+                btnText.textContent = this.isCancelling ? 'Cancelando...' : 'Cancelar';
+                btn.disabled = this.isCancelling;
+                btnLoading.classList.add('hidden');
+            } else if (this.isPlaying) {
                 btnText.textContent = 'Aguardando...';
                 btn.disabled = true;
                 btnLoading.classList.remove('hidden');
             } else {
                 const betAmount = parseFloat(this.elements.betAmount.value) || 0;
-                const isValidBet = this.validateBetAmount(betAmount);
+                const isValidBet = this.uiManager.isValidBetAmount(betAmount);
                 
                 btnText.textContent = 'Começar o jogo';
                 btn.disabled = !isValidBet;
                 btnLoading.classList.add('hidden');
             }
-        } else if (this.gameState === 'flying') {
+        } else if (gameState === 'flying') {
             if (this.isPlaying) {
                 btnText.textContent = 'Retirar';
-                btn.disabled = false;
+                btn.disabled = !this.betId;
                 btnLoading.classList.add('hidden');
                 btn.style.background = 'linear-gradient(135deg, #38a169 0%, #2f855a 100%)';
             } else {
@@ -245,6 +273,10 @@ class UIManager {
                 btn.disabled = true;
                 btnLoading.classList.add('hidden');
             }
+        } else if (gameState === 'paused') {
+            btnText.textContent = 'Jogo pausado';
+            btn.disabled = true;
+            btnLoading.classList.add('hidden');
         } else {
             btnText.textContent = 'Aguarde...';
             btn.disabled = true;
@@ -252,15 +284,179 @@ class UIManager {
         }
         
         // Reset button style when not flying
-        if (this.gameState !== 'flying' || !this.isPlaying) {
+        if (gameState !== 'flying' || !this.isPlaying) {
             btn.style.background = '';
         }
     }
+}
+
+class UIManager {
+    constructor() {
+        this.elements = {};
+        this.gameState = 'waiting';
+        this.playerBalance = 1000.00;
+        this.limits = { minBet: 1, maxBet: 10000 }; // from the current room
+        
+        this.initializeElements();
+        this.setupEventListeners();
+        
+        this.betPanels = Array.from(document.querySelectorAll('.bet-panel'))
+            .map(container => new BetPanel(this, container));
+        
+        this.updateBalance();
+    }
+    
+    initializeElements() {
+        this.elements = {
+            // Control panel
+            modeToggle: document.querySelectorAll('.toggle-btn'),
+            
+            // Player info
+            playerBalance: document.getElementById('player-balance'),
+            lastWin: document.getElementById('last-win'),
+            lastWinAmount: document.getElementById('last-win-amount'),
+            
+            // Game overlay
+            multiplier: document.getElementById('multiplier'),
+            countdown: document.getElementById('countdown'),
+            crashStatus: document.getElementById('crash-status'),
+            crashMultiplier: document.getElementById('crash-multiplier'),
+            waitingScreen: document.getElementById('waiting-screen'),
+            waitingTimer: document.getElementById('waiting-timer'),
+            pausedScreen: document.getElementById('paused-screen'),
+            maintenanceBanner: document.getElementById('maintenance-banner'),
+            
+            // History
+            historyContainer: document.getElementById('history-container'),
+            
+            // Players
+            playersList: document.getElementById('players-list')
+        };
+    }
+    
+    setupEventListeners() {
+        // Mode toggle
+        this.elements.modeToggle.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.toggleMode(e.target.dataset.mode);
+            });
+        });
+    }
+    
+    toggleMode(mode) {
+        this.elements.modeToggle.forEach(btn => btn.classList.remove('active'));
+        document.querySelector(`[data-mode="${mode}"]`).classList.add('active');
+        
+        // Auto mode swaps the bet panels for the auto-bet settings; a running
+        // strategy keeps going on the server either way
+        const auto = mode === 'auto';
+        document.getElementById('auto-bet-panel').classList.toggle('hidden', !auto);
+        this.betPanels.forEach(panel => panel.elements.container.classList.toggle('hidden', auto));
+    }
+    
+    // Entering a room: its bet limits apply and previous bets are gone
+    setRoom(room) {
+        this.limits = room.limits;
+        
+        this.betPanels.forEach(panel => {
+            panel.reset();
+            panel.elements.betAmount.min = room.limits.minBet;
+            panel.elements.betAmount.max = room.limits.maxBet;
+            
+            const amount = parseFloat(panel.elements.betAmount.value) || 0;
+            if (amount < room.limits.minBet || amount > room.limits.maxBet) {
+                panel.elements.betAmount.value = room.limits.minBet.toFixed(2);
+            }
+        });
+        
+        this.updateStartButton();
+    }
+    
+    isValidBetAmount(amount) {
+        return amount >= this.limits.minBet &&
+               amount <= this.limits.maxBet &&
+               amount <= this.playerBalance &&
+               Math.round(amount * 100) / 100 === amount;
+    }
+    
+    getBetPanel(slot) {
+        return this.betPanels.find(panel => panel.slot === slot) || null;
+    }
+    
+    updateStartButton() {
+        this.betPanels.forEach(panel => panel.updateStartButton());
+    }
     
     updateBalance() {
         this.elements.playerBalance.textContent = this.playerBalance.toFixed(2);
     }
     
+    setBalance(balance) {
+        this.playerBalance = balance;
+        this.updateBalance();
+        this.updateStartButton();
+    }
+    
+    handleServerError(data) {
+        // A rejected bet never left the server, unlock the controls
+        if (this.gameState === 'waiting' || this.gameState === 'starting') {
+            const panels = data.slot !== undefined ? [this.getBetPanel(data.slot)] : this.betPanels;
+            panels.forEach(panel => panel?.cancelPending());
+        }
+        
+        this.showNotification(data.message || 'Erro no servidor', 'error');
+    }
+    
+    handleBetPlaced(bet) {
+        const panel = this.getBetPanel(bet.slot);
+        if (!panel) return;
+        
+        panel.setBet(bet);
+        this.showNotification(`${panel.label} de R$ ${bet.amount.toFixed(2)} realizada!`, 'success');
+    }
+    
+    handleBetCancelled(bet) {
+        const panel = this.getBetPanel(bet.slot);
+        if (!panel || panel.betId !== bet.betId) return;
+        
+        panel.reset();
+        panel.updateStartButton();
+        this.showNotification(`${panel.label} de R$ ${bet.amount.toFixed(2)} cancelada`, 'info');
+    }
+    
+    // Bets placed before a reconnect are still in the round
+    restoreBets(bets) {
+        bets.forEach(bet => {
+            const panel = this.getBetPanel(bet.slot);
+            if (!panel) return;
+            
+            panel.setBet(bet);
+            
+            let status = 'em andamento';
+            if (bet.cashedOut) {
+                status = `retirada em ${bet.cashOutMultiplier.toFixed(2)}x`;
+            } else if (bet.cashOuts?.length > 0) {
+                status = `R$ ${bet.remaining.toFixed(2)} em andamento`;
+            }
+            this.showNotification(`${panel.label} de R$ ${bet.amount.toFixed(2)} restaurada (${status})`, 'info');
+        });
+    }
+    
+    // Rounds settled while the connection was down
+    showMissedOutcomes(bets) {
+        bets.forEach(bet => {
+            const cashedOut = (bet.cashOuts || []).reduce((sum, cashOut) => sum + cashOut.amount, 0);
+            
+            if (bet.outcome === 'won') {
+                this.showNotification(`Rodada #${bet.roundId}: você retirou R$ ${bet.payout.toFixed(2)} em ${bet.cashOutMultiplier.toFixed(2)}x`, 'success');
+            } else if (bet.outcome === 'refunded') {
+                this.showNotification(`Rodada #${bet.roundId}: aposta de R$ ${(bet.amount - cashedOut).toFixed(2)} devolvida`, 'info');
+            } else {
+                this.showNotification(`Rodada #${bet.roundId}: aposta de R$ ${bet.amount.toFixed(2)} perdida`, 'error');
+            }
+        });
+    }
+    
     showLastWin(amount) {
         this.elements.lastWinAmount.textContent = amount.toFixed(2);
         this.elements.lastWin.style.display = 'block';
@@ -336,6 +532,7 @@ class UIManager {
     // Game state handlers
     setGameState(state, data = {}) {
         this.gameState = state;
+        this.elements.pausedScreen.classList.toggle('hidden', state !== 'paused');
         
         switch (state) {
             case 'waiting':
@@ -350,11 +547,39 @@ class UIManager {
             case 'crashed':
                 this.handleCrashedState(data);
                 break;
+            case 'paused':
+                this.handlePausedState();
+                break;
         }
         
         this.updateStartButton();
     }
     
+    handlePausedState() {
+        this.elements.waitingScreen.classList.add('hidden');
+        this.elements.countdown.classList.add('hidden');
+        this.elements.multiplier.textContent = '1.00X';
+    }
+    
+    setMaintenance(data) {
+        const banner = this.elements.maintenanceBanner;
+        banner.textContent = data.active ? `🛠️ ${data.message}` : '';
+        banner.classList.toggle('hidden', !data.active);
+    }
+    
+    handleRoundAborted(data) {
+        // Refunds arrive as balance updates, only the panels need clearing
+        this.betPanels.forEach(panel => panel.reset());
+        this.updateStartButton();
+        
+        this.showNotification(`Rodada #${data.gameId} cancelada: apostas em aberto devolvidas`, 'info');
+    }
+    
+    handleKicked(data) {
+        const reason = data.reason ? `: ${data.reason}` : '';
+        this.showNotification(`Você foi desconectado pelo administrador${reason}`, 'error');
+    }
+    
     handleWaitingState(data) {
         this.elements.waitingScreen.classList.remove('hidden');
         this.elements.countdown.classList.add('hidden');
@@ -396,7 +621,7 @@ class UIManager {
         }
         
         // Reset playing state
-        this.isPlaying = false;
+        this.betPanels.forEach(panel => panel.reset());
         
         // Hide crash status after 3 seconds
         setTimeout(() => {
@@ -463,9 +688,12 @@ class UIManager {
         }
     }
     
-    addToHistory(multiplier) {
+    // Chips keep the round id so a click can open the round details
+    addToHistory({ gameId, crashPoint: multiplier }) {
         const historyItem = document.createElement('div');
         historyItem.className = 'history-item slide-in';
+        historyItem.dataset.gameId = gameId;
+        historyItem.title = `Rodada #${gameId}`;
         
         // Determine color based on multiplier
         if (multiplier >= 10) {
@@ -493,11 +721,18 @@ class UIManager {
     handlePlayerCashedOut(data) {
         if (data.isCurrentPlayer) {
             const winAmount = data.amount;
-            this.playerBalance += winAmount;
-            this.updateBalance();
+            const panel = this.getBetPanel(data.slot);
+            
+            if (panel) {
+                panel.isPlaying = Boolean(data.partial);
+                panel.currentBet = data.remaining || 0;
+            }
+            
+            const prefix = panel ? `${panel.label}: ` : '';
+            const limit = data.forced ? ' (limite de pagamento atingido)' : '';
+            const riding = data.partial ? ` R$ ${data.remaining.toFixed(2)} continua no ar.` : '';
             this.showLastWin(winAmount);
-            this.showNotification(`Você retirou R$ ${winAmount.toFixed(2)}!`, 'success');
-            this.isPlaying = false;
+            this.showNotification(`${prefix}Você retirou R$ ${winAmount.toFixed(2)}!${limit}${riding}`, 'success');
         }
         
         this.updateStartButton();
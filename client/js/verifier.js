@@ -0,0 +1,248 @@
+// Provably fair round verification in the browser
+
+class FairnessVerifier {
+    constructor() {
+        this.encoder = new TextEncoder();
+    }
+    
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    async sha256(value) {
+        const digest = await crypto.subtle.digest('SHA-256', this.encoder.encode(value));
+        return this.toHex(digest);
+    }
+    
+    async hmacSha256(key, message) {
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw',
+            this.encoder.encode(key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        
+        const signature = await crypto.subtle.sign('HMAC', cryptoKey, this.encoder.encode(message));
+        return this.toHex(signature);
+    }
+    
+    // Recompute a round locally from its revealed seeds
+    async verify({ serverSeed, clientSeed, houseEdge, maxMultiplier }) {
+        const hash = await this.hmacSha256(serverSeed, clientSeed);
+        
+        return {
+            hash: hash,
+            serverSeedHash: await this.sha256(serverSeed),
+            crashPoint: window.ProvablyFair.crashPointFromHash(hash, {
+                houseEdge: houseEdge ?? window.ProvablyFair.DEFAULT_HOUSE_EDGE,
+                maxMultiplier: maxMultiplier || Infinity
+            })
+        };
+    }
+    
+    // The client seed of a chain seeded by players is the sha256 of its
+    // terminating hash and their seeds. Null when there is nothing to check
+    async verifyClientSeed(round) {
+        const chain = round.seedChain;
+        if (!chain || chain.clientSeedSource !== 'players') return null;
+        
+        const clientSeed = await this.sha256([chain.terminatingHash, ...chain.seeds].join(':'));
+        return clientSeed === round.clientSeed && chain.clientSeed === round.clientSeed;
+    }
+    
+    // Hashing the server seed forward must reach the chain's terminating
+    // hash, published before the chain was played, within the chain's
+    // length. Returns the round's position in the chain, or null
+    async findChainPosition(serverSeed, chain) {
+        if (!chain) return null;
+        
+        let hash = serverSeed;
+        for (let position = 1; position <= chain.length; position++) {
+            hash = await this.sha256(hash);
+            if (hash === chain.terminatingHash) return position;
+        }
+        
+        return null;
+    }
+    
+    // Fetch a finished round from the server and check it independently
+    async verifyRound(gameId) {
+        const response = await fetch(`${window.socketManager.getApiUrl()}/rounds/${gameId}/verify`);
+        const round = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(round.error || 'Falha ao buscar rodada');
+        }
+        
+        const result = await this.verify(round);
+        const clientSeedValid = await this.verifyClientSeed(round);
+        const chainPosition = round.seedChain?.terminatingHash === round.terminatingHash
+            ? await this.findChainPosition(round.serverSeed, round.seedChain)
+            : null;
+        
+        return {
+            round: round,
+            result: result,
+            clientSeedValid: clientSeedValid,
+            chainPosition: chainPosition,
+            valid: result.crashPoint === round.crashPoint &&
+                   result.serverSeedHash === round.serverSeedHash &&
+                   chainPosition !== null &&
+                   clientSeedValid !== false
+        };
+    }
+}
+
+// Provably fair panel below the history
+class FairnessPanel {
+    constructor(verifier) {
+        this.verifier = verifier;
+        this.houseEdge = null;
+        this.maxMultiplier = null;
+        
+        // Sent to every seed chain the room publishes, kept across reloads
+        this.playerSeed = FairnessPanel.loadPlayerSeed();
+        this.contributedChain = null;
+        
+        this.elements = {
+            seedHash: document.getElementById('fairness-seed-hash'),
+            playerSeed: document.getElementById('fairness-player-seed'),
+            nextChain: document.getElementById('fairness-next-chain'),
+            serverSeed: document.getElementById('verify-server-seed'),
+            clientSeed: document.getElementById('verify-client-seed'),
+            verifyBtn: document.getElementById('verify-btn'),
+            result: document.getElementById('verify-result')
+        };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.elements.verifyBtn.addEventListener('click', () => {
+            this.verifyInputs();
+        });
+        
+        if (window.socketManager) {
+            window.socketManager.on('game_state', (data) => {
+                this.handleGameState(data);
+            });
+            
+            window.socketManager.on('seed_chains', (data) => {
+                this.handleSeedChains(data);
+            });
+            
+            window.socketManager.on('seed_contributed', (data) => {
+                this.contributedChain = data.terminatingHash;
+                this.renderNextChain();
+            });
+            
+            // A guest who just registered or logged in can send a seed right away
+            ['session', 'account_updated'].forEach(event => {
+                window.socketManager.on(event, () => {
+                    this.contributeToNextChain();
+                    this.renderNextChain();
+                });
+            });
+        }
+        
+        this.elements.playerSeed.textContent = this.playerSeed;
+    }
+    
+    static loadPlayerSeed() {
+        let seed = localStorage.getItem('crashRocketClientSeed');
+        
+        if (!seed) {
+            seed = window.fairnessVerifier.toHex(crypto.getRandomValues(new Uint8Array(16)));
+            localStorage.setItem('crashRocketClientSeed', seed);
+        }
+        
+        return seed;
+    }
+    
+    // The next chain takes seeds until it replaces the current one
+    handleSeedChains(data) {
+        this.nextChain = data.next;
+        this.contributeToNextChain();
+        this.renderNextChain();
+    }
+    
+    // Only registered accounts can send seeds
+    canContribute() {
+        const session = window.socketManager.session;
+        return Boolean(session && session.guest === false);
+    }
+    
+    contributeToNextChain() {
+        if (this.nextChain && this.canContribute() && this.contributedChain !== this.nextChain.terminatingHash) {
+            window.socketManager.contributeSeed(this.playerSeed);
+        }
+    }
+    
+    renderNextChain() {
+        if (!this.nextChain) {
+            this.elements.nextChain.textContent = '-';
+            return;
+        }
+        
+        const included = this.contributedChain === this.nextChain.terminatingHash;
+        const note = included ? ' · sua seed foi incluída' : (this.canContribute() ? '' : ' · registre-se para enviar sua seed');
+        this.elements.nextChain.textContent = `${this.nextChain.terminatingHash}${note}`;
+    }
+    
+    handleGameState(data) {
+        if (data.serverSeedHash && data.state !== 'crashed') {
+            this.elements.seedHash.textContent = `#${data.gameId} ${data.serverSeedHash}`;
+        }
+        
+        // Prefill the form with the seeds revealed at crash time
+        if (data.state === 'crashed' && data.serverSeed) {
+            this.elements.serverSeed.value = data.serverSeed;
+            this.elements.clientSeed.value = data.clientSeed;
+            this.houseEdge = data.houseEdge;
+            this.maxMultiplier = data.maxMultiplier;
+        }
+    }
+    
+    async verifyInputs() {
+        const serverSeed = this.elements.serverSeed.value.trim();
+        const clientSeed = this.elements.clientSeed.value.trim();
+        
+        if (!serverSeed || !clientSeed) {
+            this.showResult('Informe a server seed e a client seed', false);
+            return;
+        }
+        
+        try {
+            const result = await this.verifier.verify({
+                serverSeed: serverSeed,
+                clientSeed: clientSeed,
+                houseEdge: this.houseEdge,
+                maxMultiplier: this.maxMultiplier
+            });
+            
+            this.showResult(`Crash em ${result.crashPoint.toFixed(2)}x · hash da seed ${result.serverSeedHash}`, true);
+        } catch (error) {
+            console.error('Erro ao verificar rodada:', error);
+            this.showResult('Não foi possível verificar a rodada', false);
+        }
+    }
+    
+    showResult(message, success) {
+        this.elements.result.textContent = message;
+        this.elements.result.classList.toggle('error', !success);
+        this.elements.result.classList.remove('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const verifier = new FairnessVerifier();
+    
+    window.fairnessVerifier = verifier;
+    window.fairnessPanel = new FairnessPanel(verifier);
+});
+
+// Export for use in other modules
+window.FairnessVerifier = FairnessVerifier;
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const util = require('util');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('accounts');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function fromBase64url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+// Guest accounts, optional username/password and signed session tokens
+class AccountManager {
+    constructor(repository, options = {}) {
+        this.repository = repository;
+        this.sessionTtl = options.sessionTtl || 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.sessionSecret = options.sessionSecret;
+        
+        // Lowercased usernames with a registration in progress: the password
+        // hash takes a while, and the name must stay taken until it is saved
+        this.pendingUsernames = new Set();
+        
+        if (!this.sessionSecret) {
+            // Tokens still work, but every restart logs everyone out
+            this.sessionSecret = crypto.randomBytes(32).toString('hex');
+            logger.warn('⚠️ SESSION_SECRET not set, sessions will not survive a restart');
+        }
+    }
+    
+    async createGuest(name = null) {
+        const profile = {
+            id: `p_${crypto.randomUUID()}`,
+            name: name,
+            guest: true,
+            createdAt: Date.now()
+        };
+        
+        await this.repository.savePlayer(profile);
+        
+        logger.info('🆕 Guest account created', { playerId: profile.id });
+        
+        return profile;
+    }
+    
+    // Session tokens: base64url(payload).base64url(hmac)
+    issueToken(playerId) {
+        const payload = base64url(JSON.stringify({
+            sub: playerId,
+            exp: Date.now() + this.sessionTtl
+        }));
+        
+        return `${payload}.${this.sign(payload)}`;
+    }
+    
+    verifyToken(token) {
+        if (typeof token !== 'string') return null;
+        
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+        
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return null;
+        }
+        
+        try {
+            const { sub, exp } = JSON.parse(fromBase64url(payload));
+            return exp > Date.now() ? sub : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    sign(payload) {
+        return base64url(crypto.createHmac('sha256', this.sessionSecret).update(payload).digest());
+    }
+    
+    // Upgrade a guest to a username/password account
+    async register(playerId, username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return { success: false, code: 'invalid_username', error: 'Username must be 3-20 letters, numbers or underscores' };
+        }
+        
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return { success: false, code: 'invalid_password', error: `Password must have at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        
+        const key = username.toLowerCase();
+        if (this.pendingUsernames.has(key)) {
+            return { success: false, code: 'username_taken', error: 'Username already taken' };
+        }
+        
+        this.pendingUsernames.add(key);
+        
+        try {
+            return await this.createAccount(playerId, username, password);
+        } finally {
+            this.pendingUsernames.delete(key);
+        }
+    }
+    
+    // Runs with `username` reserved, see register
+    async createAccount(playerId, username, password) {
+        const profile = await this.repository.getPlayer(playerId);
+        if (!profile) {
+            return { success: false, code: 'account_not_found', error: 'Account not found' };
+        }
+        
+        if (!profile.guest) {
+            return { success: false, code: 'already_registered', error: 'Account already registered' };
+        }
+        
+        if (await this.repository.findPlayerByUsername(username)) {
+            return { success: false, code: 'username_taken', error: 'Username already taken' };
+        }
+        
+        await this.repository.savePlayer({
+            id: playerId,
+            name: username,
+            username: username,
+            passwordHash: await this.hashPassword(password),
+            guest: false
+        });
+        
+        logger.info(`🔑 Player registered as ${username}`, { playerId });
+        
+        return { success: true, username: username };
+    }
+    
+    async login(username, password) {
+        const profile = typeof username === 'string'
+            ? await this.repository.findPlayerByUsername(username)
+            : null;
+        
+        if (!profile || typeof password !== 'string' ||
+            !(await this.verifyPassword(password, profile.passwordHash))) {
+            return { success: false, code: 'invalid_credentials', error: 'Invalid username or password' };
+        }
+        
+        return {
+            success: true,
+            playerId: profile.id,
+            username: profile.username,
+            token: this.issueToken(profile.id)
+        };
+    }
+    
+    // Passwords: scrypt$salt$hash
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+    
+    async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+        
+        const expected = Buffer.from(hash, 'hex');
+        const received = await scrypt(password, salt, expected.length);
+        
+        return crypto.timingSafeEqual(received, expected);
+    }
+}
+
+module.exports = AccountManager;
@@ -0,0 +1,121 @@
+// Auto-bet strategies, one per player. The server places the bet of every
+// round in the strategy's room and adjusts the next stake after each result,
+// so a strategy keeps playing while the player's connection comes and goes.
+const ADJUSTMENTS = ['reset', 'multiply', 'add'];
+
+// Why a strategy ended, as sent in auto_bet_status
+const STOP_REASONS = {
+    STOPPED: 'stopped',
+    ROUNDS_COMPLETED: 'rounds_completed',
+    PROFIT_TARGET: 'profit_target',
+    LOSS_LIMIT: 'loss_limit',
+    PLAYER_LEFT: 'player_left'
+};
+
+class AutoBetManager {
+    constructor() {
+        this.strategies = new Map(); // playerId -> strategy
+    }
+    
+    // `settings` is a validated start_auto_bet payload
+    start(playerId, roomId, settings) {
+        const strategy = {
+            playerId: playerId,
+            roomId: roomId,
+            settings: { ...settings },
+            nextBet: settings.baseBet,
+            betId: null, // bet of the current round, until it is settled
+            roundsPlayed: 0,
+            wins: 0,
+            losses: 0,
+            profit: 0,
+            startedAt: Date.now()
+        };
+        
+        this.strategies.set(playerId, strategy);
+        
+        return strategy;
+    }
+    
+    stop(playerId) {
+        const strategy = this.get(playerId);
+        this.strategies.delete(playerId);
+        return strategy;
+    }
+    
+    get(playerId) {
+        return this.strategies.get(playerId) || null;
+    }
+    
+    getRoomStrategies(roomId) {
+        return Array.from(this.strategies.values()).filter(strategy => strategy.roomId === roomId);
+    }
+    
+    // Counts a stored bet record of the strategy and sets the next stake.
+    // Returns the reason to stop, or null to keep playing
+    settle(strategy, bet) {
+        const won = bet.outcome === 'won';
+        const { baseBet, onWin, onWinValue, onLoss, onLossValue } = strategy.settings;
+        
+        strategy.betId = null;
+        strategy.roundsPlayed++;
+        strategy.profit = roundCents(strategy.profit + bet.payout - bet.amount);
+        
+        if (won) {
+            strategy.wins++;
+            strategy.nextBet = adjust(bet.amount, onWin, onWinValue, baseBet);
+        } else {
+            strategy.losses++;
+            strategy.nextBet = adjust(bet.amount, onLoss, onLossValue, baseBet);
+        }
+        
+        return this.getStopReason(strategy);
+    }
+    
+    getStopReason(strategy) {
+        const { rounds, stopOnProfit, stopOnLoss } = strategy.settings;
+        
+        if (strategy.roundsPlayed >= rounds) return STOP_REASONS.ROUNDS_COMPLETED;
+        if (stopOnProfit !== null && strategy.profit >= stopOnProfit) return STOP_REASONS.PROFIT_TARGET;
+        if (stopOnLoss !== null && -strategy.profit >= stopOnLoss) return STOP_REASONS.LOSS_LIMIT;
+        
+        return null;
+    }
+    
+    // Payload of auto_bet_status; `reason` is set once the strategy ended
+    describe(strategy, reason = null) {
+        return {
+            active: reason === null,
+            reason: reason,
+            roomId: strategy.roomId,
+            settings: strategy.settings,
+            roundsPlayed: strategy.roundsPlayed,
+            wins: strategy.wins,
+            losses: strategy.losses,
+            profit: strategy.profit,
+            nextBet: strategy.nextBet,
+            betId: strategy.betId
+        };
+    }
+}
+
+// Reset goes back to the base bet, the others build on the last stake
+function adjust(amount, action, value, baseBet) {
+    switch (action) {
+        case 'multiply':
+            return roundCents(amount * value);
+        case 'add':
+            return roundCents(amount + value);
+        default:
+            return baseBet;
+    }
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+AutoBetManager.ADJUSTMENTS = ADJUSTMENTS;
+AutoBetManager.STOP_REASONS = STOP_REASONS;
+
+module.exports = AutoBetManager;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('chat');
+
+const DEFAULT_MUTE_MINUTES = 5;
+const MAX_MUTE_MINUTES = 24 * 60;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Room chat: history buffer, limits, word filter and moderator commands
+class ChatManager {
+    constructor(repository, config) {
+        this.repository = repository;
+        this.history = new Map(); // roomId -> messages, oldest first
+        this.recentMessages = new Map(); // playerId -> timestamps inside the rate window, until the player leaves
+        this.mutes = new Map(); // playerId -> muted until, dropped once expired
+        
+        this.updateConfig(config);
+    }
+    
+    updateConfig(config) {
+        this.config = config;
+        this.bannedWordsPattern = config.bannedWords.length > 0
+            ? new RegExp(`(?<![\\p{L}\\p{N}])(${config.bannedWords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+            : null;
+        
+        this.history.forEach((messages, roomId) => {
+            this.history.set(roomId, messages.slice(-config.historySize));
+        });
+    }
+    
+    getHistory(roomId) {
+        return this.history.get(roomId) || [];
+    }
+    
+    async sendMessage(roomId, sender, rawText) {
+        const text = typeof rawText === 'string' ? rawText.trim() : '';
+        if (!text) {
+            return { success: false, code: 'empty_message', error: 'Message is empty' };
+        }
+        
+        const profile = await this.repository.getPlayer(sender.playerId);
+        
+        if (text.startsWith('/')) {
+            return this.runCommand(roomId, profile, text);
+        }
+        
+        if (profile?.chatBanned) {
+            return { success: false, code: 'chat_banned', error: 'You are banned from the chat' };
+        }
+        
+        const mutedUntil = this.getMutedUntil(sender.playerId);
+        if (mutedUntil) {
+            return { success: false, code: 'chat_muted', error: `You are muted for ${Math.ceil((mutedUntil - Date.now()) / 60000)} more minute(s)` };
+        }
+        
+        if (text.length > this.config.maxLength) {
+            return { success: false, code: 'message_too_long', error: `Messages are limited to ${this.config.maxLength} characters` };
+        }
+        
+        if (!this.consumeRate(sender.playerId)) {
+            return { success: false, code: 'rate_limited', error: 'You are sending messages too fast' };
+        }
+        
+        return {
+            success: true,
+            message: this.addMessage(roomId, {
+                type: 'player',
+                playerId: sender.playerId,
+                playerName: sender.playerName,
+                moderator: this.isModerator(profile),
+                text: this.filter(text)
+            })
+        };
+    }
+    
+    // Messages generated by the server, e.g. big wins and moderation notices
+    systemMessage(roomId, event, data = {}) {
+        return this.addMessage(roomId, { type: 'system', event, ...data });
+    }
+    
+    addMessage(roomId, fields) {
+        const message = {
+            id: crypto.randomUUID(),
+            roomId: roomId,
+            timestamp: Date.now(),
+            ...fields
+        };
+        
+        const messages = this.getHistory(roomId).concat(message);
+        this.history.set(roomId, messages.slice(-this.config.historySize));
+        
+        return message;
+    }
+    
+    // Sliding window: at most rateLimit.messages per rateLimit.window ms
+    consumeRate(playerId) {
+        const now = Date.now();
+        const recent = (this.recentMessages.get(playerId) || [])
+            .filter(timestamp => now - timestamp < this.config.rateLimit.window);
+        
+        if (recent.length >= this.config.rateLimit.messages) {
+            this.recentMessages.set(playerId, recent);
+            return false;
+        }
+        
+        recent.push(now);
+        this.recentMessages.set(playerId, recent);
+        return true;
+    }
+    
+    filter(text) {
+        if (!this.bannedWordsPattern) return text;
+        return text.replace(this.bannedWordsPattern, word => '*'.repeat(word.length));
+    }
+    
+    isModerator(profile) {
+        if (!profile?.username) return false;
+        
+        const username = profile.username.toLowerCase();
+        return this.config.moderators.some(moderator => moderator.toLowerCase() === username);
+    }
+    
+    // /mute <name> [minutes], /unmute <name>, /ban <name>, /unban <name>
+    async runCommand(roomId, profile, text) {
+        if (!this.isModerator(profile)) {
+            return { success: false, code: 'not_moderator', error: 'Only moderators can use chat commands' };
+        }
+        
+        const [command, name, minutesArg] = text.slice(1).split(/\s+/);
+        if (!['mute', 'unmute', 'ban', 'unban'].includes(command)) {
+            return { success: false, code: 'unknown_command', error: `Unknown command /${command}` };
+        }
+        
+        const targets = name ? await this.findTargets(roomId, name) : [];
+        if (targets.length === 0) {
+            return { success: false, code: 'player_not_found', error: `Player ${name || ''} not found`.trim() };
+        }
+        
+        if (targets.length > 1) {
+            return { success: false, code: 'ambiguous_player', error: `${targets.length} players are called ${name}, use the player id` };
+        }
+        
+        const [target] = targets;
+        
+        switch (command) {
+            case 'mute': {
+                const minutes = minutesArg === undefined ? DEFAULT_MUTE_MINUTES : parseInt(minutesArg, 10);
+                if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+                    return { success: false, code: 'invalid_mute_duration', error: `Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes` };
+                }
+                
+                this.mute(target.playerId, minutes);
+                return { success: true, message: this.systemMessage(roomId, 'muted', { playerName: target.playerName, minutes }) };
+            }
+                
+            case 'unmute':
+                this.mutes.delete(target.playerId);
+                return { success: true, message: this.systemMessage(roomId, 'unmuted', { playerName: target.playerName }) };
+                
+            case 'ban':
+                await this.setBanned(target.playerId, true);
+                return { success: true, message: this.systemMessage(roomId, 'banned', { playerName: target.playerName }) };
+                
+            case 'unban':
+                await this.setBanned(target.playerId, false);
+                return { success: true, message: this.systemMessage(roomId, 'unbanned', { playerName: target.playerName }) };
+        }
+    }
+    
+    mute(playerId, minutes) {
+        this.pruneMutes();
+        this.mutes.set(playerId, Date.now() + minutes * 60000);
+        logger.info(`🔇 Player muted for ${minutes} minute(s)`, { playerId });
+    }
+    
+    // End of an active mute, or null
+    getMutedUntil(playerId) {
+        const mutedUntil = this.mutes.get(playerId);
+        if (mutedUntil === undefined) return null;
+        
+        if (mutedUntil <= Date.now()) {
+            this.mutes.delete(playerId);
+            return null;
+        }
+        
+        return mutedUntil;
+    }
+    
+    pruneMutes() {
+        const now = Date.now();
+        this.mutes.forEach((mutedUntil, playerId) => {
+            if (mutedUntil <= now) this.mutes.delete(playerId);
+        });
+    }
+    
+    // A player who left starts a fresh rate window; active mutes stay so
+    // leaving and rejoining does not lift them
+    removePlayer(playerId) {
+        this.recentMessages.delete(playerId);
+        this.pruneMutes();
+    }
+    
+    // Bans are kept on the profile so they survive a restart
+    async setBanned(playerId, banned) {
+        await this.repository.savePlayer({ id: playerId, chatBanned: banned });
+        logger.info(`${banned ? '🚫 Player banned from' : '✅ Player unbanned from'} the chat`, { playerId });
+    }
+    
+    // A player id, or every player the name could mean: those who spoke in
+    // the room recently under that display name and the registered username.
+    // Display names are not unique, so more than one match is left to the caller
+    async findTargets(roomId, name) {
+        const byId = await this.repository.getPlayer(name);
+        if (byId) {
+            return [{ playerId: byId.id, playerName: byId.name }];
+        }
+        
+        const normalized = name.toLowerCase();
+        const targets = new Map(); // playerId -> target
+        
+        this.getHistory(roomId)
+            .filter(message => message.type === 'player')
+            .reverse()
+            .forEach(message => {
+                if (message.playerName?.toLowerCase() === normalized && !targets.has(message.playerId)) {
+                    targets.set(message.playerId, { playerId: message.playerId, playerName: message.playerName });
+                }
+            });
+        
+        const profile = await this.repository.findPlayerByUsername(name);
+        if (profile && !targets.has(profile.id)) {
+            targets.set(profile.id, { playerId: profile.id, playerName: profile.name });
+        }
+        
+        return Array.from(targets.values());
+    }
+}
+
+module.exports = ChatManager;
@@ -0,0 +1,376 @@
+const path = require('path');
+const { CURVES, createCurve } = require('../shared/curve');
+const { LEVELS } = require('./logger');
+
+// Tables available through ROOMS, game settings override the GAME_* values
+const ROOM_PRESETS = {
+    classic: {
+        name: 'Clássica',
+        limits: { minBet: 1, maxBet: 10000 },
+        game: {}
+    },
+    low: {
+        name: 'Apostas baixas',
+        limits: { minBet: 1, maxBet: 100 },
+        game: {}
+    },
+    high: {
+        name: 'Apostas altas',
+        limits: { minBet: 100, maxBet: 50000 },
+        game: {}
+    },
+    turbo: {
+        name: 'Turbo',
+        limits: { minBet: 1, maxBet: 10000 },
+        game: { waitTime: { min: 1000, max: 2000 }, countdownTime: 1000 }
+    }
+};
+
+// Token buckets per socket (and per player or IP): burst size and tokens per second
+const DEFAULT_RATE_LIMITS = {
+    place_bet: { capacity: 6, refillRate: 3 },
+    cash_out: { capacity: 6, refillRate: 3 },
+    cancel_bet: { capacity: 6, refillRate: 3 },
+    start_auto_bet: { capacity: 3, refillRate: 0.5 },
+    contribute_seed: { capacity: 3, refillRate: 0.2 },
+    chat_message: { capacity: 5, refillRate: 1 },
+    join_game: { capacity: 3, refillRate: 0.2 },
+    register: { capacity: 3, refillRate: 0.2 },
+    login: { capacity: 3, refillRate: 0.2 },
+    join_room: { capacity: 5, refillRate: 1 },
+    leave_room: { capacity: 5, refillRate: 1 },
+    get_leaderboard: { capacity: 5, refillRate: 1 },
+    default: { capacity: 10, refillRate: 5 }
+};
+
+// Environment settings: name -> how to parse and check it
+const SETTINGS = {
+    PORT: { type: 'integer', default: 3001, min: 1, max: 65535 },
+    NODE_ENV: { type: 'string', default: 'development' },
+    CLIENT_URL: { type: 'string', default: '*' },
+    ADMIN_TOKEN: { type: 'string', default: null, minLength: 16 },
+    SESSION_SECRET: { type: 'string', default: null, minLength: 32 },
+    SESSION_TTL_DAYS: { type: 'integer', default: 30, min: 1, max: 365 },
+    DISCONNECT_GRACE_TIME: { type: 'integer', default: 15000, min: 0, max: 300000 },
+    SHUTDOWN_GRACE_TIME: { type: 'integer', default: 10000, min: 0, max: 300000 },
+    TRUST_PROXY: { type: 'boolean', default: false },
+    
+    RATE_LIMITS: { type: 'rates', default: {} },
+    RATE_LIMIT_STRIKES: { type: 'integer', default: 20, min: 1, max: 10000 },
+    RATE_LIMIT_STRIKE_WINDOW: { type: 'integer', default: 10000, min: 1000, max: 600000 },
+    RATE_LIMIT_BAN_TIME: { type: 'integer', default: 60000, min: 0, max: 86400000 },
+    
+    GAME_MIN_WAIT_TIME: { type: 'integer', default: 3000, min: 0, max: 600000 },
+    GAME_MAX_WAIT_TIME: { type: 'integer', default: 7000, min: 0, max: 600000 },
+    GAME_COUNTDOWN_TIME: { type: 'integer', default: 3000, min: 0, max: 60000 },
+    GAME_UPDATE_INTERVAL: { type: 'integer', default: 100, min: 10, max: 1000 },
+    GAME_MAX_TIME: { type: 'integer', default: 120000, min: 1000, max: 3600000 },
+    GAME_MAX_MULTIPLIER: { type: 'number', default: 1000, min: 1.01, max: 1000000 },
+    GAME_CURVE: { type: 'enum', default: 'exponential', values: Object.keys(CURVES) },
+    HOUSE_EDGE: { type: 'number', default: 0.01, min: 0, max: 0.5 },
+    HISTORY_SIZE: { type: 'integer', default: 20, min: 1, max: 1000 },
+    MAX_PLAYERS_PER_GAME: { type: 'integer', default: 100, min: 1, max: 100000 },
+    MAX_BET_PAYOUT: { type: 'number', default: 100000, min: 1, max: 1000000000 },
+    MAX_ROUND_PAYOUT: { type: 'number', default: 1000000, min: 1, max: 1000000000 },
+    
+    // Without LOG_LEVEL, ENABLE_DEBUG_LOGS picks debug over info
+    ENABLE_DEBUG_LOGS: { type: 'boolean', default: false },
+    LOG_LEVEL: { type: 'enum', default: null, values: Object.keys(LEVELS) },
+    LOG_LEVELS: { type: 'levels', default: {} },
+    LOG_FORMAT: { type: 'enum', default: null, values: ['pretty', 'json'] },
+    LOG_FILE: { type: 'string', default: null },
+    LOG_FILE_MAX_SIZE: { type: 'integer', default: 10485760, min: 1024, max: 1073741824 },
+    LOG_FILE_MAX_FILES: { type: 'integer', default: 5, min: 1, max: 100 },
+    
+    ROOMS: { type: 'list', default: 'classic,low,high,turbo', values: Object.keys(ROOM_PRESETS) },
+    
+    CHAT_HISTORY_SIZE: { type: 'integer', default: 50, min: 0, max: 500 },
+    CHAT_MAX_LENGTH: { type: 'integer', default: 200, min: 1, max: 2000 },
+    CHAT_RATE_LIMIT: { type: 'integer', default: 5, min: 1, max: 100 },
+    CHAT_RATE_WINDOW: { type: 'integer', default: 10000, min: 1000, max: 600000 },
+    CHAT_BANNED_WORDS: { type: 'list', default: '' },
+    CHAT_MODERATORS: { type: 'list', default: '' },
+    CHAT_BIG_WIN_MULTIPLIER: { type: 'number', default: 10, min: 1, max: 1000000 },
+    
+    STORAGE_DRIVER: { type: 'enum', default: 'file', values: ['file', 'memory'] },
+    DATA_DIR: { type: 'string', default: 'data' }
+};
+
+// Settings that can change between rounds without restarting the process
+const RELOADABLE = [
+    'GAME_MIN_WAIT_TIME',
+    'GAME_MAX_WAIT_TIME',
+    'GAME_COUNTDOWN_TIME',
+    'GAME_UPDATE_INTERVAL',
+    'GAME_MAX_TIME',
+    'GAME_MAX_MULTIPLIER',
+    'GAME_CURVE',
+    'HOUSE_EDGE',
+    'HISTORY_SIZE',
+    'MAX_PLAYERS_PER_GAME',
+    'MAX_BET_PAYOUT',
+    'MAX_ROUND_PAYOUT',
+    'ENABLE_DEBUG_LOGS',
+    'LOG_LEVEL',
+    'LOG_LEVELS',
+    'CHAT_HISTORY_SIZE',
+    'CHAT_MAX_LENGTH',
+    'CHAT_RATE_LIMIT',
+    'CHAT_RATE_WINDOW',
+    'CHAT_BANNED_WORDS',
+    'CHAT_MODERATORS',
+    'CHAT_BIG_WIN_MULTIPLIER',
+    'RATE_LIMITS',
+    'RATE_LIMIT_STRIKES',
+    'RATE_LIMIT_STRIKE_WINDOW',
+    'RATE_LIMIT_BAN_TIME'
+];
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.join('; ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function parseValue(name, raw, setting) {
+    switch (setting.type) {
+        case 'integer': {
+            if (!/^-?\d+$/.test(raw)) {
+                throw new Error(`${name} must be an integer (got "${raw}")`);
+            }
+            return checkRange(name, parseInt(raw, 10), setting);
+        }
+            
+        case 'number': {
+            const value = Number(raw);
+            if (raw === '' || !Number.isFinite(value)) {
+                throw new Error(`${name} must be a number (got "${raw}")`);
+            }
+            return checkRange(name, value, setting);
+        }
+            
+        case 'boolean': {
+            const normalized = raw.toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+            if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+            throw new Error(`${name} must be a boolean (got "${raw}")`);
+        }
+            
+        case 'list': {
+            const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+            
+            // Lists without allowed values take any item
+            if (!setting.values) {
+                return Array.from(new Set(items));
+            }
+            
+            const unknown = items.filter(item => !setting.values.includes(item));
+            
+            if (items.length === 0 || unknown.length > 0) {
+                throw new Error(`${name} must be a comma-separated list of ${setting.values.join(', ')} (got "${raw}")`);
+            }
+            return Array.from(new Set(items));
+        }
+            
+        // event:capacity/refillRate pairs, e.g. "place_bet:6/3,login:3/0.2"
+        case 'rates': {
+            const rates = {};
+            
+            for (const item of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+                const match = item.match(/^([a-z_]+):(\d+)\/(\d+(?:\.\d+)?)$/);
+                if (!match || Number(match[2]) < 1 || Number(match[3]) <= 0) {
+                    throw new Error(`${name} entries must look like event:capacity/refillRate with positive numbers (got "${item}")`);
+                }
+                rates[match[1]] = { capacity: Number(match[2]), refillRate: Number(match[3]) };
+            }
+            return rates;
+        }
+            
+        // module:level pairs, e.g. "game:debug,chat:warn"
+        case 'levels': {
+            const levels = {};
+            
+            for (const item of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+                const match = item.match(/^([a-z_-]+):([a-z]+)$/);
+                if (!match || !(match[2] in LEVELS)) {
+                    throw new Error(`${name} entries must look like module:level with a level of ${Object.keys(LEVELS).join(', ')} (got "${item}")`);
+                }
+                levels[match[1]] = match[2];
+            }
+            return levels;
+        }
+            
+        case 'enum': {
+            if (!setting.values.includes(raw)) {
+                throw new Error(`${name} must be one of ${setting.values.join(', ')} (got "${raw}")`);
+            }
+            return raw;
+        }
+            
+        default: {
+            if (setting.minLength && raw.length < setting.minLength) {
+                throw new Error(`${name} must have at least ${setting.minLength} characters`);
+            }
+            return raw;
+        }
+    }
+}
+
+function checkRange(name, value, setting) {
+    if (value < setting.min || value > setting.max) {
+        throw new Error(`${name} must be between ${setting.min} and ${setting.max} (got ${value})`);
+    }
+    return value;
+}
+
+function loadConfig(env = process.env) {
+    const values = {};
+    const errors = [];
+    
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        const raw = env[name];
+        
+        if (raw === undefined || raw.trim() === '') {
+            values[name] = setting.type === 'list' ? setting.default.split(',').filter(Boolean) : setting.default;
+            continue;
+        }
+        
+        try {
+            values[name] = parseValue(name, raw.trim(), setting);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    
+    // Cross-field checks
+    if (values.GAME_MAX_WAIT_TIME < values.GAME_MIN_WAIT_TIME) {
+        errors.push('GAME_MAX_WAIT_TIME must be greater than or equal to GAME_MIN_WAIT_TIME');
+    }
+    
+    if (values.GAME_UPDATE_INTERVAL >= values.GAME_MAX_TIME) {
+        errors.push('GAME_UPDATE_INTERVAL must be smaller than GAME_MAX_TIME');
+    }
+    
+    // A cash out at or above the cap never happens. The cap is the lower of
+    // GAME_MAX_MULTIPLIER and what the curve reaches in GAME_MAX_TIME
+    if (errors.length === 0) {
+        const reachable = createCurve({ type: values.GAME_CURVE }).multiplierAt(values.GAME_MAX_TIME / 1000);
+        const maxMultiplier = Math.min(values.GAME_MAX_MULTIPLIER, Math.floor(reachable * 100) / 100);
+        
+        if (values.CHAT_BIG_WIN_MULTIPLIER >= maxMultiplier) {
+            errors.push(`CHAT_BIG_WIN_MULTIPLIER must be smaller than the max multiplier (${maxMultiplier}x from GAME_MAX_MULTIPLIER, GAME_MAX_TIME and GAME_CURVE)`);
+        }
+    }
+    
+    if (values.MAX_BET_PAYOUT > values.MAX_ROUND_PAYOUT) {
+        errors.push('MAX_BET_PAYOUT must be smaller than or equal to MAX_ROUND_PAYOUT');
+    }
+    
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    
+    // Shape matches GameEngine.config
+    const game = {
+        waitTime: {
+            min: values.GAME_MIN_WAIT_TIME,
+            max: values.GAME_MAX_WAIT_TIME
+        },
+        countdownTime: values.GAME_COUNTDOWN_TIME,
+        updateInterval: values.GAME_UPDATE_INTERVAL,
+        maxGameTime: values.GAME_MAX_TIME,
+        maxMultiplier: values.GAME_MAX_MULTIPLIER,
+        curve: { type: values.GAME_CURVE },
+        houseEdge: values.HOUSE_EDGE,
+        historySize: values.HISTORY_SIZE,
+        maxPlayers: values.MAX_PLAYERS_PER_GAME,
+        maxBetPayout: values.MAX_BET_PAYOUT,
+        maxRoundPayout: values.MAX_ROUND_PAYOUT
+    };
+    
+    return {
+        port: values.PORT,
+        nodeEnv: values.NODE_ENV,
+        clientUrl: values.CLIENT_URL,
+        adminToken: values.ADMIN_TOKEN,
+        session: {
+            secret: values.SESSION_SECRET,
+            ttl: values.SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+            disconnectGrace: values.DISCONNECT_GRACE_TIME
+        },
+        trustProxy: values.TRUST_PROXY,
+        
+        // Time a flying round gets to crash on shutdown before it is refunded
+        shutdownGrace: values.SHUTDOWN_GRACE_TIME,
+        
+        rateLimit: {
+            events: { ...DEFAULT_RATE_LIMITS, ...values.RATE_LIMITS },
+            maxStrikes: values.RATE_LIMIT_STRIKES,
+            strikeWindow: values.RATE_LIMIT_STRIKE_WINDOW,
+            banTime: values.RATE_LIMIT_BAN_TIME
+        },
+        
+        logging: {
+            level: values.LOG_LEVEL || (values.ENABLE_DEBUG_LOGS ? 'debug' : 'info'),
+            levels: values.LOG_LEVELS,
+            format: values.LOG_FORMAT || (values.NODE_ENV === 'production' ? 'json' : 'pretty'),
+            file: values.LOG_FILE ? {
+                path: path.resolve(__dirname, values.LOG_FILE),
+                maxSize: values.LOG_FILE_MAX_SIZE,
+                maxFiles: values.LOG_FILE_MAX_FILES
+            } : null
+        },
+        
+        storage: {
+            driver: values.STORAGE_DRIVER,
+            dataDir: path.resolve(__dirname, values.DATA_DIR)
+        },
+        
+        game: game,
+        
+        chat: {
+            historySize: values.CHAT_HISTORY_SIZE,
+            maxLength: values.CHAT_MAX_LENGTH,
+            rateLimit: {
+                messages: values.CHAT_RATE_LIMIT,
+                window: values.CHAT_RATE_WINDOW
+            },
+            bannedWords: values.CHAT_BANNED_WORDS,
+            moderators: values.CHAT_MODERATORS,
+            bigWinMultiplier: values.CHAT_BIG_WIN_MULTIPLIER
+        },
+        
+        // The first room is where new connections land
+        rooms: values.ROOMS.map(id => ({
+            id: id,
+            name: ROOM_PRESETS[id].name,
+            limits: { ...ROOM_PRESETS[id].limits },
+            game: { ...game, ...ROOM_PRESETS[id].game }
+        }))
+    };
+}
+
+// Config safe to show on the admin endpoint
+function describeConfig(config) {
+    return {
+        ...config,
+        adminToken: config.adminToken ? '[redacted]' : null,
+        session: {
+            ...config.session,
+            secret: config.session.secret ? '[redacted]' : null
+        },
+        reloadable: RELOADABLE
+    };
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    describeConfig,
+    SETTINGS,
+    RELOADABLE,
+    ROOM_PRESETS,
+    DEFAULT_RATE_LIMITS
+};
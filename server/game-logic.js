@@ -1,42 +1,84 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const ProvablyFair = require('./provably-fair');
+const RiskManager = require('./risk');
+const { createCurve } = require('../shared/curve');
+const { createLogger } = require('./logger');
 
 // Game states
 const GAME_STATES = {
     WAITING: 'waiting',
     STARTING: 'starting',
     FLYING: 'flying',
-    CRASHED: 'crashed'
+    CRASHED: 'crashed',
+    PAUSED: 'paused'
 };
 
+// Independent bet slots per player per round
+const BET_SLOTS = 2;
+
 class GameEngine extends EventEmitter {
-    constructor(io) {
+    constructor(io, config = {}, options = {}) {
         super();
         this.io = io;
         
+        // Rooms share one round id sequence so ids stay unique
+        this.nextRoundId = options.nextRoundId || (() => this.gameId + 1);
+        
+        // Round lines also carry the gameId
+        this.logger = options.logger || createLogger('game');
+        this.roundLogger = this.logger;
+        
         // Game state
         this.state = GAME_STATES.WAITING;
         this.multiplier = 1.00;
         this.startTime = null;
+        this.crashAt = null; // ms timestamp of the crash instant of the flying round
         this.gameId = 0;
-        this.history = [];
+        this.history = []; // newest first: { gameId, crashPoint }
         
-        // Active players and bets
-        this.activePlayers = new Map(); // playerId -> { bet, autoCashOut, hasWon }
-        this.cashedOutPlayers = new Set();
+        // Provably fair rounds
+        this.fairness = new ProvablyFair({
+            logger: this.logger,
+            onChain: (chain) => this.emit('seed_chain', chain),
+            onState: (state) => this.emit('fairness_state', state)
+        });
+        this.currentRound = null;
+        this.verifications = new Map(); // gameId -> revealed seed data
+        
+        // Bets of the current round
+        this.activeBets = new Map(); // betId -> { id, playerId, slot, bet, remaining, cashOuts, autoCashOut, hasWon }
         
         // Timers
         this.gameLoopInterval = null;
         this.stateTimeout = null;
         
+        // Set by pause(), takes effect once the current round is over
+        this.paused = false;
+        
         // Configuration
         this.config = {
             waitTime: { min: 3000, max: 7000 }, // 3-7 seconds
             countdownTime: 3000, // 3 seconds
-            updateInterval: 100, // 100ms (10 FPS)
-            maxGameTime: 30000, // 30 seconds max
-            historySize: 20
+            updateInterval: 100, // 100ms server-side crash/auto cash out checks
+            maxGameTime: 120000, // 2 minutes max, caps the crash point at what the curve reaches by then
+            maxMultiplier: 1000, // crash point cap, whichever of the two is lower applies
+            curve: { type: 'exponential' }, // see shared/curve.js, reaches 1000x in under 2 minutes
+            houseEdge: 0.01, // 1% edge, see shared/provably-fair.js for the RTP of a target
+            historySize: 20,
+            verificationHistorySize: 1000,
+            maxPlayers: 100, // seats per round
+            maxBetPayout: 100000,
+            maxRoundPayout: 1000000, // house liability limit per round
+            ...config
         };
         
+        // Config waiting to be applied at the start of the next round
+        this.pendingConfig = null;
+        
+        this.curve = createCurve(this.config.curve);
+        this.risk = new RiskManager(this.config);
+        
         // Statistics
         this.stats = {
             totalGames: 0,
@@ -48,24 +90,60 @@ class GameEngine extends EventEmitter {
     }
     
     start() {
-        console.log('🎮 Game engine starting...');
+        this.logger.info('🎮 Game engine starting', {
+            maxMultiplier: this.getMaxMultiplier(),
+            maxFlightTime: this.getMaxFlightTime()
+        });
         this.scheduleNextGame();
     }
     
     stop() {
-        console.log('🛑 Game engine stopping...');
+        this.logger.info('🛑 Game engine stopping');
         this.clearTimers();
         this.state = GAME_STATES.WAITING;
     }
     
+    // Let the current round finish, then hold off the next one
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        const wasPaused = this.state === GAME_STATES.PAUSED;
+        this.paused = false;
+        
+        if (wasPaused) {
+            this.logger.info('▶️ Game engine resumed');
+            this.scheduleNextGame();
+        }
+    }
+    
+    enterPause() {
+        this.logger.info('⏸️ Game engine paused');
+        
+        this.state = GAME_STATES.PAUSED;
+        this.emit('game_state_changed', { state: this.state });
+    }
+    
     scheduleNextGame() {
+        if (this.paused) {
+            this.enterPause();
+            return;
+        }
+        
+        this.applyPendingConfig();
+        
         const waitTime = this.getRandomWaitTime();
-        console.log(`⏰ Next game in ${waitTime / 1000}s`);
+        
+        // Crash point is fixed before any bet for the round is accepted
+        this.prepareRound();
+        this.roundLogger.info(`⏰ Next game in ${waitTime / 1000}s`);
         
         this.state = GAME_STATES.WAITING;
         this.emit('game_state_changed', {
             state: this.state,
-            nextGameIn: waitTime / 1000
+            nextGameIn: waitTime / 1000,
+            ...this.getFairnessCommitment()
         });
         
         this.stateTimeout = setTimeout(() => {
@@ -74,14 +152,14 @@ class GameEngine extends EventEmitter {
     }
     
     startCountdown() {
-        console.log('🚦 Starting countdown...');
+        this.roundLogger.debug('🚦 Starting countdown');
         
         this.state = GAME_STATES.STARTING;
-        this.cashedOutPlayers.clear();
         
         this.emit('game_state_changed', {
             state: this.state,
-            countdown: this.config.countdownTime / 1000
+            countdown: this.config.countdownTime / 1000,
+            ...this.getFairnessCommitment()
         });
         
         this.stateTimeout = setTimeout(() => {
@@ -89,119 +167,187 @@ class GameEngine extends EventEmitter {
         }, this.config.countdownTime);
     }
     
+    // Config changes never affect a round in progress
+    updateConfig(config) {
+        this.pendingConfig = { ...this.pendingConfig, ...config };
+        
+        if (this.state === GAME_STATES.WAITING && !this.currentRound) {
+            this.applyPendingConfig();
+        }
+    }
+    
+    applyPendingConfig() {
+        if (!this.pendingConfig) return;
+        
+        this.config = { ...this.config, ...this.pendingConfig };
+        this.curve = createCurve(this.config.curve);
+        this.risk.updateLimits(this.config);
+        this.pendingConfig = null;
+        
+        if (this.history.length > this.config.historySize) {
+            this.history.length = this.config.historySize;
+        }
+        
+        this.logger.info('⚙️ Game config updated');
+    }
+    
+    prepareRound() {
+        this.gameId = this.nextRoundId();
+        this.currentRound = this.fairness.nextRound(this.getCrashPointOptions());
+        this.roundLogger = this.logger.child({ gameId: this.gameId });
+    }
+    
     startGame() {
-        console.log(`🚀 Game ${++this.gameId} started with ${this.activePlayers.size} players`);
+        this.roundLogger.info('🚀 Game started', { bets: this.activeBets.size });
         
         this.state = GAME_STATES.FLYING;
         this.multiplier = 1.00;
         this.startTime = Date.now();
+        this.crashAt = this.startTime + this.curve.timeAt(this.currentRound.crashPoint) * 1000;
         
+        // Clients derive the multiplier from the start time and the curve
         this.emit('game_state_changed', {
             state: this.state,
             multiplier: this.multiplier,
-            time: 0
+            time: 0,
+            ...this.getFlightInfo()
         });
         
         this.startGameLoop();
+        
+        // Crash on time rather than on the next tick
+        this.stateTimeout = setTimeout(() => {
+            this.updateGame();
+        }, Math.ceil(this.crashAt - Date.now()));
     }
     
     startGameLoop() {
         this.gameLoopInterval = setInterval(() => {
+            const startedAt = process.hrtime.bigint();
             this.updateGame();
+            
+            // Tick duration in seconds, for the metrics
+            this.emit('tick', Number(process.hrtime.bigint() - startedAt) / 1e9);
         }, this.config.updateInterval);
     }
     
     updateGame() {
         if (this.state !== GAME_STATES.FLYING) return;
         
-        const elapsed = (Date.now() - this.startTime) / 1000;
-        this.multiplier = this.calculateMultiplier(elapsed);
+        const now = Date.now();
         
-        // Check for crash
-        if (this.shouldCrash(this.multiplier, elapsed)) {
+        // Check for crash. Targets passed between the last tick and the crash
+        // instant are still paid before the round ends
+        if (now >= this.crashAt) {
+            this.multiplier = this.currentRound.crashPoint;
+            this.checkAutoCashOuts();
+            this.checkRiskLimits();
             this.crashGame();
             return;
         }
         
-        // Check for max game time
-        if (elapsed >= this.config.maxGameTime / 1000) {
-            this.crashGame();
-            return;
-        }
+        this.multiplier = this.getMultiplierAt(now);
         
         // Check auto cash outs
         this.checkAutoCashOuts();
-        
-        // Emit game state
-        this.emit('game_state_changed', {
-            state: this.state,
-            multiplier: this.multiplier,
-            time: elapsed
-        });
+        this.checkRiskLimits();
     }
     
-    calculateMultiplier(time) {
-        // Exponential curve with realistic parameters
-        const baseGrowth = 0.02; // 2% per second base
-        const acceleration = 0.001; // Gradual acceleration
-        
-        return 1 + (baseGrowth * time) + (acceleration * Math.pow(time, 1.5));
+    // Multiplier of the flying round at a ms timestamp, on the exact curve
+    getMultiplierAt(time) {
+        return this.curve.multiplierAt((time - this.startTime) / 1000);
     }
     
-    shouldCrash(multiplier, time) {
-        // Probability increases with time and multiplier
-        let probability;
-        
-        if (multiplier < 1.5) {
-            probability = 0.001; // Very low chance early
-        } else if (multiplier < 2) {
-            probability = 0.01; // 1% chance
-        } else if (multiplier < 5) {
-            probability = 0.02; // 2% chance
-        } else {
-            probability = 0.05 + (multiplier - 5) * 0.01; // Increasing chance
-        }
-        
-        // Additional time-based increase
-        probability += time * 0.001;
-        
-        // Cap at 50% per update
-        probability = Math.min(probability, 0.5);
-        
-        return Math.random() < probability;
+    // Ordering rule for cash outs against the crash: a cash out counts only
+    // if it was received strictly before the crash instant, and is priced at
+    // the curve multiplier of that moment. A bet whose auto cash out target
+    // was already passed is paid at the target. Returns null when too late.
+    getCashOutMultiplier(bet, receivedAt) {
+        if (receivedAt >= this.crashAt) return null;
+        
+        const multiplier = this.getMultiplierAt(receivedAt);
+        return bet.autoCashOut ? Math.min(multiplier, bet.autoCashOut) : multiplier;
     }
     
+    getFlightInfo() {
+        return {
+            startedAt: this.startTime,
+            serverTime: Date.now(),
+            curve: this.curve.describe()
+        };
+    }
+    
+    // Targets are paid exactly, a target equal to the crash point loses
     checkAutoCashOuts() {
-        for (const [playerId, playerData] of this.activePlayers) {
-            if (playerData.autoCashOut && 
-                !this.cashedOutPlayers.has(playerId) && 
-                this.multiplier >= playerData.autoCashOut) {
+        for (const bet of this.activeBets.values()) {
+            if (bet.autoCashOut && 
+                !bet.hasWon && 
+                this.multiplier >= bet.autoCashOut &&
+                paysTarget(bet.autoCashOut, this.currentRound.crashPoint)) {
                 
-                this.performAutoCashOut(playerId, playerData);
+                this.performAutoCashOut(bet, bet.autoCashOut);
             }
         }
     }
     
-    performAutoCashOut(playerId, playerData) {
-        const winAmount = playerData.bet * this.multiplier;
+    // Bets at the payout cap, or every riding bet once the round reaches its
+    // liability limit, are cashed out. Same rule as the targets: nothing is
+    // paid at the crash point itself
+    checkRiskLimits() {
+        this.risk.getForcedCashOuts(Array.from(this.activeBets.values()), this.multiplier)
+            .filter(({ multiplier }) => paysTarget(multiplier, this.currentRound.crashPoint))
+            .forEach(({ bet, multiplier, reason }) => this.performAutoCashOut(bet, multiplier, reason));
+    }
+    
+    // Closes whatever is still riding. `forced` is the risk limit that
+    // triggered it, null for the player's target
+    performAutoCashOut(bet, multiplier, forced = null) {
+        const result = this.settleCashOut(bet, bet.remaining, multiplier);
+        
+        this.roundLogger.info(`🤖 Auto cash out at ${multiplier.toFixed(2)}x`, {
+            playerId: bet.playerId,
+            betId: bet.id,
+            slot: bet.slot,
+            winAmount: result.winAmount,
+            forced: forced
+        });
         
-        this.cashedOutPlayers.add(playerId);
-        playerData.hasWon = true;
+        this.emit('player_auto_cashed_out', {
+            playerId: bet.playerId,
+            ...result,
+            forced: forced
+        });
+    }
+    
+    // Pays `amount` of the stake still riding at `multiplier`. The bet is
+    // closed (hasWon) once nothing rides; the payout cap covers all its parts
+    settleCashOut(bet, amount, multiplier) {
+        const winAmount = Math.min(
+            this.calculateWinAmount(amount, multiplier),
+            roundCents(this.config.maxBetPayout - bet.winAmount)
+        );
+        
+        bet.remaining = roundCents(bet.remaining - amount);
+        bet.cashOuts.push({ amount, multiplier, payout: winAmount });
+        bet.cashOutMultiplier = multiplier;
+        bet.winAmount = roundCents(bet.winAmount + winAmount);
+        bet.hasWon = bet.remaining === 0;
         
         this.stats.totalPayouts += winAmount;
         
-        console.log(`🤖 Auto cash out: Player ${playerId} at ${this.multiplier.toFixed(2)}x = R$ ${winAmount.toFixed(2)}`);
-        
-        this.emit('player_auto_cashed_out', {
-            playerId: playerId,
-            multiplier: this.multiplier,
+        return {
+            betId: bet.id,
+            slot: bet.slot,
+            multiplier: multiplier,
             winAmount: winAmount,
-            betAmount: playerData.bet
-        });
+            betAmount: amount,
+            remaining: bet.remaining,
+            partial: !bet.hasWon
+        };
     }
     
     crashGame() {
-        console.log(`💥 Game ${this.gameId} crashed at ${this.multiplier.toFixed(2)}x`);
+        this.roundLogger.info(`💥 Game crashed at ${this.multiplier.toFixed(2)}x`, { crashPoint: this.multiplier });
         
         this.clearTimers();
         this.state = GAME_STATES.CRASHED;
@@ -211,14 +357,18 @@ class GameEngine extends EventEmitter {
         this.updateAverageMultiplier();
         
         // Add to history
-        this.addToHistory(this.multiplier);
+        this.addToHistory(this.gameId, this.multiplier);
+        
+        // Reveal the seed so players can verify the round
+        const verification = this.revealRound();
         
         // Calculate payouts for players who didn't cash out
-        this.finalizeBets();
+        this.finalizeBets(verification);
         
         this.emit('game_state_changed', {
             state: this.state,
-            finalMultiplier: this.multiplier
+            finalMultiplier: this.multiplier,
+            ...verification
         });
         
         // Schedule next game
@@ -227,22 +377,257 @@ class GameEngine extends EventEmitter {
         }, 2000); // Show crash for 2 seconds
     }
     
-    finalizeBets() {
-        // Reset active players for next game
-        this.activePlayers.clear();
+    finalizeBets(verification) {
+        const crashedAt = Date.now();
+        const bets = [];
+        
+        for (const bet of this.activeBets.values()) {
+            bets.push(this.createBetRecord(bet, bet.cashOuts.length > 0 ? 'won' : 'lost'));
+        }
+        
+        const { gameId, ...seedData } = verification;
+        const totalBets = bets.reduce((sum, bet) => sum + bet.amount, 0);
+        const totalPayouts = bets.reduce((sum, bet) => sum + bet.payout, 0);
+        
+        const round = {
+            id: gameId,
+            crashPoint: this.multiplier,
+            startedAt: this.startTime,
+            crashedAt: crashedAt,
+            ...seedData,
+            playerCount: new Set(bets.map(bet => bet.playerId)).size,
+            betCount: bets.length,
+            totalBets: totalBets,
+            totalPayouts: totalPayouts,
+            houseProfit: Math.round((totalBets - totalPayouts) * 100) / 100
+        };
+        
+        this.emit('round_finished', { round, bets });
+        
+        // Reset bets for next game
+        this.activeBets.clear();
+    }
+    
+    // A bet partly cashed out is 'won' even if the rest crashed: `payout` and
+    // `cashOuts` tell how much of the stake made it
+    createBetRecord(bet, outcome) {
+        return {
+            id: bet.id,
+            roundId: this.gameId,
+            playerId: bet.playerId,
+            slot: bet.slot,
+            amount: bet.bet,
+            autoCashOut: bet.autoCashOut,
+            cashOutMultiplier: bet.cashOutMultiplier || null,
+            payout: bet.winAmount,
+            cashOuts: bet.cashOuts,
+            outcome: outcome,
+            placedAt: bet.placedAt
+        };
+    }
+    
+    // Ends the current round without a crash point. Cash outs keep their
+    // payout, bets with stake still riding come back as 'refunded' for the
+    // listener to pay that part back (see getRefundableStake)
+    abortRound(reason) {
+        this.clearTimers();
+        
+        const bets = Array.from(this.activeBets.values())
+            .map(bet => this.createBetRecord(bet, bet.hasWon ? 'won' : 'refunded'));
+        
+        this.roundLogger.warn('🛑 Round aborted', { reason, bets: bets.length });
+        
+        bets
+            .filter(bet => bet.outcome === 'refunded')
+            .forEach(bet => {
+                this.stats.totalBets -= getRefundableStake(bet);
+            });
+        
+        this.activeBets.clear();
+        this.emit('round_aborted', { gameId: this.gameId, reason, bets });
+        
+        this.scheduleNextGame();
+    }
+    
+    // Shutdown: a round still taking bets is aborted right away, a flying one
+    // with stakes riding gets `timeout` ms to crash before it is aborted too
+    drain(timeout) {
+        this.pause();
+        
+        const riding = Array.from(this.activeBets.values()).some(bet => !bet.hasWon);
+        
+        if (this.canPlaceBet() || (this.state === GAME_STATES.FLYING && !riding)) {
+            this.abortRound('shutdown');
+        }
+        
+        if (this.state !== GAME_STATES.FLYING) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            const onFinished = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            
+            const timer = setTimeout(() => {
+                this.off('round_finished', onFinished);
+                this.abortRound('shutdown');
+                resolve();
+            }, timeout);
+            
+            this.once('round_finished', onFinished);
+        });
+    }
+    
+    // Restore history, stats and round ids from stored rounds (newest first)
+    rehydrate(rounds, totals) {
+        this.gameId = totals.lastRoundId;
+        
+        this.history = rounds
+            .slice(0, this.config.historySize)
+            .map(round => ({ gameId: round.id, crashPoint: round.crashPoint }));
+        
+        this.verifications.clear();
+        rounds
+            .slice(0, this.config.verificationHistorySize)
+            .reverse()
+            .forEach(round => {
+                this.verifications.set(round.id, {
+                    gameId: round.id,
+                    serverSeed: round.serverSeed,
+                    serverSeedHash: round.serverSeedHash,
+                    clientSeed: round.clientSeed,
+                    terminatingHash: round.terminatingHash,
+                    hash: round.hash,
+                    crashPoint: round.crashPoint,
+                    houseEdge: round.houseEdge,
+                    maxMultiplier: round.maxMultiplier
+                });
+            });
+        
+        this.stats.totalGames = totals.totalGames;
+        this.stats.totalBets = totals.totalBets;
+        this.stats.totalPayouts = totals.totalPayouts;
+        this.updateAverageMultiplier();
+        
+        this.logger.info(`♻️ Restored ${totals.totalGames} rounds, continuing from game ${this.gameId}`);
     }
     
-    addToHistory(multiplier) {
-        this.history.unshift(parseFloat(multiplier.toFixed(2)));
+    addToHistory(gameId, multiplier) {
+        this.history.unshift({ gameId: gameId, crashPoint: parseFloat(multiplier.toFixed(2)) });
         
         if (this.history.length > this.config.historySize) {
             this.history.pop();
         }
     }
     
+    revealRound() {
+        const round = this.currentRound;
+        const verification = {
+            gameId: this.gameId,
+            serverSeed: round.serverSeed,
+            serverSeedHash: round.serverSeedHash,
+            clientSeed: round.clientSeed,
+            terminatingHash: round.terminatingHash,
+            hash: round.hash,
+            crashPoint: round.crashPoint,
+            ...this.getCrashPointOptions()
+        };
+        
+        this.verifications.set(this.gameId, verification);
+        
+        if (this.verifications.size > this.config.verificationHistorySize) {
+            const oldestGameId = this.verifications.keys().next().value;
+            this.verifications.delete(oldestGameId);
+        }
+        
+        return verification;
+    }
+    
+    getFairnessCommitment() {
+        if (!this.currentRound) {
+            return {};
+        }
+        
+        return {
+            gameId: this.gameId,
+            serverSeedHash: this.currentRound.serverSeedHash,
+            clientSeed: this.currentRound.clientSeed,
+            terminatingHash: this.currentRound.terminatingHash
+        };
+    }
+    
+    // Player seeds for the client seed of the next seed chain
+    contributeSeed(contributor, seed) {
+        return this.fairness.contributeSeed(contributor, seed);
+    }
+    
+    getSeedChains() {
+        return this.fairness.getChains();
+    }
+    
+    // Seed chains stored by a previous process, before the first round
+    restoreFairness(state) {
+        this.fairness.restore(state);
+    }
+    
+    getRoundVerification(gameId) {
+        const verification = this.verifications.get(gameId);
+        
+        if (verification) {
+            // Recompute from the revealed seeds rather than trusting stored values
+            const { hash, crashPoint } = ProvablyFair.calculate(
+                verification.serverSeed,
+                verification.clientSeed,
+                {
+                    houseEdge: verification.houseEdge,
+                    maxMultiplier: verification.maxMultiplier
+                }
+            );
+            
+            return {
+                ...verification,
+                revealed: true,
+                verified: hash === verification.hash &&
+                          crashPoint === verification.crashPoint &&
+                          ProvablyFair.hashSeed(verification.serverSeed) === verification.serverSeedHash
+            };
+        }
+        
+        // Current round: only the commitment is public until it crashes
+        if (gameId === this.gameId && this.currentRound) {
+            return {
+                ...this.getFairnessCommitment(),
+                revealed: false
+            };
+        }
+        
+        return null;
+    }
+    
+    // Parameters of the crash point distribution, published with every round
+    getCrashPointOptions() {
+        return {
+            houseEdge: this.config.houseEdge,
+            maxMultiplier: this.getMaxMultiplier()
+        };
+    }
+    
+    // maxMultiplier, or the multiplier the curve reaches in maxGameTime if lower
+    getMaxMultiplier() {
+        const reachable = Math.floor(this.curve.multiplierAt(this.config.maxGameTime / 1000) * 100) / 100;
+        return Math.min(this.config.maxMultiplier, reachable);
+    }
+    
+    // Longest possible flight in ms, a round crashing at the cap
+    getMaxFlightTime() {
+        return Math.min(this.config.maxGameTime, Math.ceil(this.curve.timeAt(this.getMaxMultiplier()) * 1000));
+    }
+    
     updateAverageMultiplier() {
         if (this.history.length > 0) {
-            const sum = this.history.reduce((a, b) => a + b, 0);
+            const sum = this.history.reduce((total, entry) => total + entry.crashPoint, 0);
             this.stats.averageMultiplier = sum / this.history.length;
         }
     }
@@ -252,63 +637,187 @@ class GameEngine extends EventEmitter {
         return this.state === GAME_STATES.WAITING || this.state === GAME_STATES.STARTING;
     }
     
-    placeBet(playerId, amount, autoCashOut = null) {
+    // Returns why a bet would be rejected ({ code, error }), or null if it can be placed
+    validateBet(playerId, amount, autoCashOut = null, slot = 0) {
         if (!this.canPlaceBet()) {
-            return false;
+            return { code: 'betting_closed', error: 'Cannot place bet at this time' };
+        }
+        
+        // The wallet keeps whole cents, so the stake must already be one
+        if (roundCents(amount) !== amount) {
+            return { code: 'invalid_bet_amount', error: 'Bet amount must be in whole cents' };
         }
         
         // Validate auto cash out
         if (autoCashOut && autoCashOut < 1.01) {
-            return false;
+            return { code: 'invalid_auto_cash_out', error: 'Invalid auto cash out' };
+        }
+        
+        // The crash point never goes past the cap, so such a target can't win
+        if (autoCashOut && !paysTarget(autoCashOut, this.getMaxMultiplier())) {
+            return { code: 'invalid_auto_cash_out', error: 'Auto cash out must be below the max multiplier' };
+        }
+        
+        if (!Number.isInteger(slot) || slot < 0 || slot >= BET_SLOTS) {
+            return { code: 'invalid_slot', error: 'Invalid bet slot' };
+        }
+        
+        // One bet per slot per round
+        if (this.findBet(playerId, slot)) {
+            return { code: 'bet_already_placed', error: 'Bet already placed' };
         }
         
-        this.activePlayers.set(playerId, {
+        return this.risk.checkBet(Array.from(this.activeBets.values()), playerId, amount, autoCashOut);
+    }
+    
+    // Returns the bet id, or null if the bet was rejected. The server passes
+    // the id it already journaled
+    placeBet(playerId, amount, autoCashOut = null, slot = 0, betId = crypto.randomUUID()) {
+        if (this.validateBet(playerId, amount, autoCashOut, slot)) {
+            return null;
+        }
+        
+        const bet = {
+            id: betId,
+            playerId: playerId,
+            slot: slot,
             bet: amount,
+            remaining: amount,
+            cashOuts: [],
             autoCashOut: autoCashOut,
+            cashOutMultiplier: null,
+            winAmount: 0,
             hasWon: false,
             placedAt: Date.now()
-        });
+        };
         
+        this.activeBets.set(bet.id, bet);
         this.stats.totalBets += amount;
         
-        return true;
+        return bet.id;
     }
     
-    cashOut(playerId) {
+    // `receivedAt` is when the request reached the server, see getCashOutMultiplier.
+    // `fraction` is the share of the stake still riding to take out, floored to
+    // the cent; the rest keeps riding
+    cashOut(playerId, betId, receivedAt = Date.now(), fraction = 1) {
         if (this.state !== GAME_STATES.FLYING) {
-            return { success: false, error: 'Cannot cash out at this time' };
+            return { success: false, code: 'cash_out_closed', error: 'Cannot cash out at this time' };
         }
         
-        if (!this.activePlayers.has(playerId)) {
-            return { success: false, error: 'No active bet found' };
+        const bet = this.activeBets.get(betId);
+        if (!bet || bet.playerId !== playerId) {
+            return { success: false, code: 'bet_not_found', error: 'No active bet found' };
         }
         
-        if (this.cashedOutPlayers.has(playerId)) {
-            return { success: false, error: 'Already cashed out' };
+        if (bet.hasWon) {
+            return { success: false, code: 'already_cashed_out', error: 'Already cashed out' };
         }
         
-        const playerData = this.activePlayers.get(playerId);
-        const winAmount = playerData.bet * this.multiplier;
+        // The crash instant passed, the next tick ends the round
+        const multiplier = this.getCashOutMultiplier(bet, receivedAt);
+        if (multiplier === null) {
+            return { success: false, code: 'cash_out_closed', error: 'Round already crashed' };
+        }
         
-        this.cashedOutPlayers.add(playerId);
-        playerData.hasWon = true;
+        const remainingCents = Math.round(bet.remaining * 100);
+        const cents = Math.floor(remainingCents * fraction);
+        if (cents < 1) {
+            return { success: false, code: 'invalid_fraction', error: 'Fraction is less than a cent of the stake' };
+        }
         
-        this.stats.totalPayouts += winAmount;
+        const amount = cents === remainingCents ? bet.remaining : cents / 100;
+        
+        return { success: true, ...this.settleCashOut(bet, amount, multiplier) };
+    }
+    
+    // Takes a bet back before takeoff; the caller refunds the stake
+    cancelBet(playerId, betId) {
+        if (!this.canPlaceBet()) {
+            return { success: false, code: 'betting_closed', error: 'Bets can only be cancelled before takeoff' };
+        }
+        
+        const bet = this.activeBets.get(betId);
+        if (!bet || bet.playerId !== playerId) {
+            return { success: false, code: 'bet_not_found', error: 'No active bet found' };
+        }
+        
+        this.activeBets.delete(bet.id);
+        this.stats.totalBets -= bet.bet;
         
         return {
             success: true,
-            multiplier: this.multiplier,
-            winAmount: winAmount,
-            betAmount: playerData.bet
+            betId: bet.id,
+            roundId: this.gameId,
+            slot: bet.slot,
+            betAmount: bet.bet,
+            autoCashOut: bet.autoCashOut,
+            placedAt: bet.placedAt
         };
     }
     
+    // Removes every bet of a player; stakes removed before takeoff can be refunded
     removePlayer(playerId) {
-        this.activePlayers.delete(playerId);
-        this.cashedOutPlayers.delete(playerId);
+        const refundable = this.canPlaceBet();
+        const removed = [];
+        
+        for (const bet of this.getPlayerBets(playerId)) {
+            if (refundable) {
+                this.stats.totalBets -= bet.bet;
+            }
+            
+            this.activeBets.delete(bet.id);
+            
+            removed.push({
+                betId: bet.id,
+                roundId: this.gameId,
+                slot: bet.slot,
+                betAmount: bet.bet,
+                autoCashOut: bet.autoCashOut,
+                placedAt: bet.placedAt,
+                refundable: refundable
+            });
+        }
+        
+        return removed;
+    }
+    
+    getPlayerBets(playerId) {
+        return Array.from(this.activeBets.values()).filter(bet => bet.playerId === playerId);
+    }
+    
+    findBet(playerId, slot) {
+        return this.getPlayerBets(playerId).find(bet => bet.slot === slot) || null;
+    }
+    
+    // Public view of the current round bets
+    getRoundBets() {
+        return Array.from(this.activeBets.values()).map(bet => ({
+            betId: bet.id,
+            roundId: this.gameId,
+            playerId: bet.playerId,
+            slot: bet.slot,
+            amount: bet.bet,
+            autoCashOut: bet.autoCashOut,
+            remaining: bet.remaining,
+            cashOuts: bet.cashOuts,
+            cashedOut: bet.hasWon,
+            cashOutMultiplier: bet.cashOutMultiplier,
+            winAmount: bet.winAmount
+        }));
+    }
+    
+    // Current round bets of a player, used to restore a reconnecting session
+    getActiveBets(playerId) {
+        return this.getRoundBets().filter(bet => bet.playerId === playerId);
     }
     
     // Utility methods
+    calculateWinAmount(bet, multiplier) {
+        // Payouts are rounded down to the cent
+        return Math.floor(bet * multiplier * 100) / 100;
+    }
+    
     getRandomWaitTime() {
         const { min, max } = this.config.waitTime;
         return Math.floor(Math.random() * (max - min + 1)) + min;
@@ -335,22 +844,25 @@ class GameEngine extends EventEmitter {
         
         switch (this.state) {
             case GAME_STATES.WAITING:
-                return baseState;
-                
             case GAME_STATES.STARTING:
-                return baseState;
+                return {
+                    ...baseState,
+                    ...this.getFairnessCommitment()
+                };
                 
             case GAME_STATES.FLYING:
                 const elapsed = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
                 return {
                     ...baseState,
                     multiplier: this.multiplier,
-                    time: elapsed
+                    time: elapsed,
+                    ...this.getFlightInfo()
                 };
                 
             case GAME_STATES.CRASHED:
                 return {
                     ...baseState,
+                    ...this.verifications.get(this.gameId),
                     finalMultiplier: this.multiplier
                 };
                 
@@ -364,7 +876,7 @@ class GameEngine extends EventEmitter {
     }
     
     getHistory() {
-        return [...this.history];
+        return this.history.map(entry => ({ ...entry }));
     }
     
     getStats() {
@@ -372,14 +884,43 @@ class GameEngine extends EventEmitter {
             ...this.stats,
             currentMultiplier: this.multiplier,
             gameState: this.state,
-            activePlayers: this.activePlayers.size,
+            paused: this.paused,
+            activePlayers: this.getActivePlayers().length,
+            activeBets: this.activeBets.size,
+            exposure: this.getExposure(),
             uptime: Date.now() - this.stats.uptime
         };
     }
     
+    // Before takeoff this.multiplier still holds the last crash point
+    getExposure() {
+        const multiplier = this.state === GAME_STATES.FLYING ? this.multiplier : 1;
+        return this.risk.describe(Array.from(this.activeBets.values()), multiplier);
+    }
+    
     getActivePlayers() {
-        return Array.from(this.activePlayers.keys());
+        return Array.from(new Set(Array.from(this.activeBets.values()).map(bet => bet.playerId)));
     }
 }
 
+// Settlement rule for a target against the crash point: it is paid only if
+// the round crashes strictly above it
+function paysTarget(target, crashPoint) {
+    return target < crashPoint;
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Stake of a bet record that never got cashed out
+function getRefundableStake(bet) {
+    const cashedOut = (bet.cashOuts || []).reduce((sum, cashOut) => sum + cashOut.amount, 0);
+    return roundCents(bet.amount - cashedOut);
+}
+
+GameEngine.BET_SLOTS = BET_SLOTS;
+GameEngine.getRefundableStake = getRefundableStake;
+GameEngine.paysTarget = paysTarget;
+
 module.exports = GameEngine;
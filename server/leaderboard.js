@@ -0,0 +1,123 @@
+const { getRefundableStake } = require('./game-logic');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rolling windows, null covers every stored bet
+const PERIODS = {
+    daily: DAY,
+    weekly: 7 * DAY,
+    all: null
+};
+
+const METRICS = ['profit', 'biggestWin', 'biggestMultiplier', 'volume'];
+
+const BOARD_SIZE = 10;
+
+// Rankings built from settled bets in storage, so offline players count too
+class Leaderboard {
+    constructor(repository) {
+        this.repository = repository;
+        this.rankings = new Map(); // "period:metric" -> sorted standings
+    }
+    
+    static isValidPeriod(period) {
+        return Object.prototype.hasOwnProperty.call(PERIODS, period);
+    }
+    
+    static isValidMetric(metric) {
+        return METRICS.includes(metric);
+    }
+    
+    // Drop cached rankings once new bets are settled
+    invalidate() {
+        this.rankings.clear();
+    }
+    
+    async getRanking(period, metric) {
+        const key = `${period}:${metric}`;
+        
+        if (!this.rankings.has(key)) {
+            const standings = await this.getStandings(period);
+            
+            this.rankings.set(key, standings
+                .filter(standing => standing[metric] > 0 || metric === 'profit')
+                .sort((a, b) => b[metric] - a[metric] || b.volume - a.volume)
+                .map(standing => ({ playerId: standing.playerId, value: standing[metric], bets: standing.bets })));
+        }
+        
+        return this.rankings.get(key);
+    }
+    
+    // Totals per player over the period
+    async getStandings(period) {
+        const since = PERIODS[period] ? Date.now() - PERIODS[period] : null;
+        const bets = await this.repository.getBetsSince(since);
+        const standings = new Map();
+        
+        bets.forEach(bet => {
+            // Only the cashed out part of an aborted bet was played
+            const amount = bet.outcome === 'refunded' ? Math.round((bet.amount - getRefundableStake(bet)) * 100) / 100 : bet.amount;
+            if (amount === 0) return;
+            
+            let standing = standings.get(bet.playerId);
+            if (!standing) {
+                standing = { playerId: bet.playerId, profit: 0, biggestWin: 0, biggestMultiplier: 0, volume: 0, bets: 0 };
+                standings.set(bet.playerId, standing);
+            }
+            
+            standing.profit += bet.payout - amount;
+            standing.volume += amount;
+            standing.bets++;
+            
+            if (bet.payout > 0) {
+                standing.biggestWin = Math.max(standing.biggestWin, bet.payout);
+                standing.biggestMultiplier = Math.max(standing.biggestMultiplier, bet.cashOutMultiplier);
+            }
+        });
+        
+        // Amounts are floats in reais, keep them to the cent
+        return Array.from(standings.values()).map(standing => ({
+            ...standing,
+            profit: Math.round(standing.profit * 100) / 100,
+            volume: Math.round(standing.volume * 100) / 100
+        }));
+    }
+    
+    // Top of the board plus the requesting player's own position
+    async getBoard(period, metric, playerId = null) {
+        const ranking = await this.getRanking(period, metric);
+        
+        const entries = await Promise.all(ranking.slice(0, BOARD_SIZE).map(async (entry, index) => ({
+            rank: index + 1,
+            ...entry,
+            name: await this.getPlayerName(entry.playerId)
+        })));
+        
+        let player = null;
+        if (playerId) {
+            const index = ranking.findIndex(entry => entry.playerId === playerId);
+            player = index >= 0
+                ? { rank: index + 1, ...ranking[index] }
+                : { rank: null, playerId: playerId, value: 0, bets: 0 };
+        }
+        
+        return {
+            period: period,
+            metric: metric,
+            totalPlayers: ranking.length,
+            entries: entries,
+            player: player,
+            updatedAt: Date.now()
+        };
+    }
+    
+    async getPlayerName(playerId) {
+        const profile = await this.repository.getPlayer(playerId);
+        return profile?.name || `Player${playerId.substr(2, 4)}`;
+    }
+}
+
+Leaderboard.PERIODS = Object.keys(PERIODS);
+Leaderboard.METRICS = METRICS;
+
+module.exports = Leaderboard;
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lower is more severe, a logger prints its level and everything below
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+// Shared by every logger so a config reload applies everywhere at once
+const settings = {
+    level: 'info',
+    levels: {}, // module -> level, overrides the default
+    format: 'pretty',
+    file: null
+};
+
+class Logger {
+    constructor(module, bindings = {}) {
+        this.module = module;
+        this.bindings = bindings;
+    }
+    
+    // Same module, extra fields on every line (gameId, playerId, socketId...)
+    child(bindings) {
+        return new Logger(this.module, { ...this.bindings, ...bindings });
+    }
+    
+    isLevelEnabled(level) {
+        const threshold = settings.levels[this.module] || settings.level;
+        return LEVELS[level] <= LEVELS[threshold];
+    }
+    
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+    
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+    
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+    
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+    
+    write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        
+        const record = {
+            time: new Date().toISOString(),
+            level: level,
+            module: this.module,
+            msg: message,
+            ...this.bindings,
+            ...serializeFields(fields)
+        };
+        
+        const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${settings.format === 'json' ? JSON.stringify(record) : formatPretty(record)}\n`);
+        
+        // The file always gets JSON, grep it by gameId or playerId to follow a round
+        if (settings.file) {
+            settings.file.write(`${JSON.stringify(record)}\n`);
+        }
+    }
+}
+
+// Size-based rotation: app.log -> app.log.1 -> ... -> app.log.<maxFiles>
+class RotatingFileSink {
+    constructor({ file, maxSize, maxFiles }) {
+        this.file = file;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.open();
+    }
+    
+    // Opened synchronously so a rotation right after can rename the file
+    open() {
+        const fd = fs.openSync(this.file, 'a');
+        
+        this.size = fs.fstatSync(fd).size;
+        this.stream = fs.createWriteStream(null, { fd });
+        this.stream.on('error', (error) => {
+            process.stderr.write(`Log file write failed: ${error.message}\n`);
+        });
+    }
+    
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            try {
+                this.rotate();
+            } catch (error) {
+                // Keep appending to the current file rather than losing lines
+                process.stderr.write(`Log rotation failed: ${error.message}\n`);
+                this.size = 0;
+            }
+        }
+        
+        this.stream.write(line);
+        this.size += bytes;
+    }
+    
+    // Renaming keeps the old descriptor valid, so queued writes land in the
+    // rotated file
+    rotate() {
+        this.stream.end();
+        
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.file}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.file}.${index + 1}`);
+            }
+        }
+        
+        fs.renameSync(this.file, `${this.file}.1`);
+        this.open();
+    }
+    
+    close() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+// Errors lose their message and stack through JSON.stringify
+function serializeFields(fields) {
+    const serialized = {};
+    
+    Object.entries(fields).forEach(([key, value]) => {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+            : value;
+    });
+    
+    return serialized;
+}
+
+function formatPretty({ time, level, module, msg, ...fields }) {
+    const { error, ...rest } = fields;
+    
+    const extra = Object.entries(rest)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    
+    let line = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra ? ` ${extra}` : ''}`;
+    
+    if (error) {
+        line += `\n${error.stack || JSON.stringify(error)}`;
+    }
+    
+    return line;
+}
+
+function createLogger(module, bindings) {
+    return new Logger(module, bindings);
+}
+
+// Levels and format change in place, the file sink is reopened only when its
+// settings change
+function configureLogging({ level, levels = {}, format, file = null }) {
+    settings.level = level;
+    settings.levels = levels;
+    settings.format = format;
+    
+    const current = settings.file;
+    const changed = !current || !file ||
+        current.file !== file.path || current.maxSize !== file.maxSize || current.maxFiles !== file.maxFiles;
+    
+    if (!changed) return;
+    
+    if (current) current.close();
+    
+    settings.file = file
+        ? new RotatingFileSink({ file: file.path, maxSize: file.maxSize, maxFiles: file.maxFiles })
+        : null;
+}
+
+function closeLogging() {
+    const file = settings.file;
+    settings.file = null;
+    
+    return file ? file.close() : Promise.resolve();
+}
+
+module.exports = {
+    createLogger,
+    configureLogging,
+    closeLogging,
+    LEVELS
+};
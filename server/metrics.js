@@ -0,0 +1,180 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, value }
+    }
+    
+    // Label values in declaration order, so { a, b } and { b, a } match
+    getSeries(labels, create) {
+        const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+        
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: this.pickLabels(labels), value: create() });
+        }
+        
+        return this.series.get(key);
+    }
+    
+    pickLabels(labels) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = String(labels[name] ?? '');
+        });
+        return picked;
+    }
+    
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${escapeHelp(this.help)}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        
+        this.series.forEach(({ labels, value }) => {
+            lines.push(...this.renderSeries(labels, value));
+        });
+        
+        return lines.join('\n');
+    }
+    
+    renderSeries(labels, value) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+    
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => 0).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+    
+    set(labels, value) {
+        this.getSeries(labels, () => 0).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+    
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        })).value;
+        
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) series.counts[index]++;
+        
+        series.sum += value;
+        series.count++;
+    }
+    
+    // Starts a timer, calling the returned function records the seconds elapsed
+    startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+    
+    renderSeries(labels, { counts, sum, count }) {
+        const lines = [];
+        let cumulative = 0;
+        
+        this.buckets.forEach((bound, index) => {
+            cumulative += counts[index];
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+    
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+    
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+    
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+    
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+    
+    // Called before every render, for values read on demand (gauges)
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+    
+    render() {
+        this.collectors.forEach(collect => collect());
+        
+        return Array.from(this.metrics.values())
+            .map(metric => metric.render())
+            .join('\n') + '\n';
+    }
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+    MetricsRegistry,
+    CONTENT_TYPE
+};
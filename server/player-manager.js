@@ -1,7 +1,14 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger('players');
+
+const STARTING_BALANCE = 1000.00;
+
 class PlayerManager {
-    constructor() {
+    constructor(wallet) {
+        this.wallet = wallet; // balances are derived from the wallet ledger
         this.players = new Map(); // playerId -> player data
-        this.sockets = new Map(); // playerId -> socket reference
+        this.sockets = new Map(); // playerId -> Set of connected sockets
         
         // Statistics
         this.stats = {
@@ -12,12 +19,19 @@ class PlayerManager {
         };
     }
     
-    addPlayer(playerId, socket) {
+    // Attach a socket to a player, creating the in-memory player on first connection
+    addPlayer(playerId, socket, profile = null) {
+        const existing = this.players.get(playerId);
+        if (existing) {
+            this.sockets.get(playerId).add(socket);
+            existing.lastSeenAt = Date.now();
+            return existing;
+        }
+        
         const player = {
             id: playerId,
             name: null,
-            socket: socket,
-            balance: 1000.00, // Starting balance
+            guest: true,
             currentBet: 0,
             isPlaying: false,
             autoCashOut: null,
@@ -38,28 +52,50 @@ class PlayerManager {
             sessionGames: 0
         };
         
+        // Restore a stored profile
+        if (profile) {
+            player.name = profile.name;
+            player.guest = profile.guest !== false;
+            Object.assign(player, profile.statistics);
+        }
+        
         this.players.set(playerId, player);
-        this.sockets.set(playerId, socket);
+        this.sockets.set(playerId, new Set([socket]));
+        
+        // Starting balance
+        if (!this.wallet.hasAccount(playerId)) {
+            this.wallet.deposit(playerId, STARTING_BALANCE, 'welcome_bonus');
+        }
         
         this.stats.totalPlayersJoined++;
         this.updatePeakPlayers();
         
-        console.log(`👤 Player ${playerId} added to manager`);
+        logger.debug('👤 Player added to manager', { playerId });
         
         return player;
     }
     
+    // Detach a socket, returns true when it was the player's last connection
+    removeSocket(playerId, socket) {
+        const sockets = this.sockets.get(playerId);
+        if (!sockets) return false;
+        
+        sockets.delete(socket);
+        return sockets.size === 0;
+    }
+    
     removePlayer(playerId) {
         const player = this.players.get(playerId);
         
         if (player) {
-            // Log session statistics
-            console.log(`📊 Player ${playerId} session: ${player.sessionGames} games, R$ ${player.sessionWinnings.toFixed(2)} winnings`);
+            logger.info('📊 Player session ended', {
+                playerId: playerId,
+                games: player.sessionGames,
+                winnings: player.sessionWinnings
+            });
             
             this.players.delete(playerId);
             this.sockets.delete(playerId);
-            
-            console.log(`👤 Player ${playerId} removed from manager`);
         }
     }
     
@@ -67,8 +103,17 @@ class PlayerManager {
         return this.players.get(playerId);
     }
     
-    getPlayerSocket(playerId) {
-        return this.sockets.get(playerId);
+    getPlayerSockets(playerId) {
+        return Array.from(this.sockets.get(playerId) || []);
+    }
+    
+    isConnected(playerId) {
+        const sockets = this.sockets.get(playerId);
+        return Boolean(sockets) && sockets.size > 0;
+    }
+    
+    getBalance(playerId) {
+        return this.wallet.getBalance(playerId);
     }
     
     updatePlayerActivity(playerId) {
@@ -78,12 +123,12 @@ class PlayerManager {
         }
     }
     
-    updatePlayerBalance(playerId, amount) {
+    updatePlayerBalance(playerId, amount, roundId = null, betId = null) {
         const player = this.players.get(playerId);
         if (player) {
-            player.balance += amount;
-            
             if (amount > 0) {
+                this.wallet.creditPayout(playerId, amount, roundId, betId);
+                
                 player.totalWinnings += amount;
                 player.sessionWinnings += amount;
                 
@@ -103,50 +148,67 @@ class PlayerManager {
         }
     }
     
-    placeBet(playerId, amount) {
+    placeBet(playerId, amount, roundId, autoCashOut = null, betId = null) {
         const player = this.players.get(playerId);
-        if (player && player.balance >= amount) {
-            player.balance -= amount;
-            player.currentBet = amount;
-            player.isPlaying = true;
-            player.totalBets += amount;
-            player.sessionBets += amount;
-            
-            this.stats.totalBetsPlaced++;
-            
-            return true;
+        if (!player) {
+            return { success: false, code: 'player_not_found', error: 'Player not found' };
         }
         
-        return false;
+        const result = this.wallet.debitBet(playerId, amount, roundId, betId);
+        if (!result.success) {
+            return result;
+        }
+        
+        player.currentBet += amount;
+        player.autoCashOut = autoCashOut;
+        player.isPlaying = true;
+        player.totalBets += amount;
+        player.sessionBets += amount;
+        
+        this.stats.totalBetsPlaced++;
+        
+        return { success: true, balance: this.wallet.getBalance(playerId) };
     }
     
-    cashOut(playerId, multiplier) {
+    // The engine is authoritative on wins, so the payout is always credited
+    cashOut(playerId, winAmount, roundId, betAmount = 0, betId = null) {
         const player = this.players.get(playerId);
-        if (player && player.isPlaying) {
-            const winAmount = player.currentBet * multiplier;
-            
-            this.updatePlayerBalance(playerId, winAmount);
-            
-            player.isPlaying = false;
-            player.currentBet = 0;
-            player.gamesPlayed++;
-            player.sessionGames++;
+        
+        if (player) {
+            this.updatePlayerBalance(playerId, winAmount, roundId, betId);
             
-            return {
-                success: true,
-                winAmount: winAmount,
-                newBalance: player.balance
-            };
+            // The round is counted in resetPlayerGame once every bet is settled
+            player.currentBet = Math.max(0, player.currentBet - betAmount);
+            player.isPlaying = player.currentBet > 0;
+        } else if (winAmount > 0) {
+            this.wallet.creditPayout(playerId, winAmount, roundId, betId);
+        }
+        
+        return {
+            success: true,
+            winAmount: winAmount,
+            newBalance: this.wallet.getBalance(playerId)
+        };
+    }
+    
+    // Return a stake that never took part in a round
+    refundBet(playerId, amount, roundId, reason) {
+        const player = this.players.get(playerId);
+        if (player) {
+            player.currentBet = Math.max(0, player.currentBet - amount);
+            player.isPlaying = player.currentBet > 0;
+            player.totalBets -= amount;
+            player.sessionBets -= amount;
         }
         
-        return { success: false };
+        return this.wallet.refund(playerId, amount, roundId, reason);
     }
     
-    resetPlayerGame(playerId) {
+    // Called once per round for every player with bets in it
+    resetPlayerGame(playerId, lostBet = false) {
         const player = this.players.get(playerId);
         if (player) {
-            if (player.isPlaying) {
-                // Player lost their bet
+            if (lostBet) {
                 player.currentStreak = 0;
             }
             
@@ -182,28 +244,6 @@ class PlayerManager {
         }
     }
     
-    // Leaderboard and rankings
-    getTopPlayers(limit = 10) {
-        return Array.from(this.players.values())
-            .sort((a, b) => b.totalWinnings - a.totalWinnings)
-            .slice(0, limit)
-            .map(player => ({
-                name: player.name || `Player${player.id.substr(0, 4)}`,
-                totalWinnings: player.totalWinnings,
-                gamesPlayed: player.gamesPlayed,
-                biggestWin: player.biggestWin,
-                longestStreak: player.longestStreak
-            }));
-    }
-    
-    getPlayerRank(playerId) {
-        const players = Array.from(this.players.values())
-            .sort((a, b) => b.totalWinnings - a.totalWinnings);
-        
-        const playerIndex = players.findIndex(p => p.id === playerId);
-        return playerIndex >= 0 ? playerIndex + 1 : null;
-    }
-    
     // Statistics and analytics
     getStats() {
         const onlinePlayers = this.getOnlinePlayers();
@@ -220,16 +260,14 @@ class PlayerManager {
     }
     
     getAverageBalance() {
-        const players = Array.from(this.players.values());
-        if (players.length === 0) return 0;
+        if (this.players.size === 0) return 0;
         
-        const totalBalance = players.reduce((sum, player) => sum + player.balance, 0);
-        return totalBalance / players.length;
+        return this.getTotalBalance() / this.players.size;
     }
     
     getTotalBalance() {
-        return Array.from(this.players.values())
-            .reduce((sum, player) => sum + player.balance, 0);
+        return Array.from(this.players.keys())
+            .reduce((sum, playerId) => sum + this.wallet.getBalance(playerId), 0);
     }
     
     getSessionStats() {
@@ -268,7 +306,7 @@ class PlayerManager {
         }
         
         inactivePlayers.forEach(playerId => {
-            console.log(`🧹 Cleaning up inactive player: ${playerId}`);
+            logger.info('🧹 Cleaning up inactive player', { playerId });
             this.removePlayer(playerId);
         });
         
@@ -277,15 +315,15 @@ class PlayerManager {
     
     // Broadcast methods
     broadcastToAll(event, data) {
-        for (const socket of this.sockets.values()) {
-            socket.emit(event, data);
+        for (const sockets of this.sockets.values()) {
+            sockets.forEach(socket => socket.emit(event, data));
         }
     }
     
     broadcastToPlayer(playerId, event, data) {
-        const socket = this.sockets.get(playerId);
-        if (socket) {
-            socket.emit(event, data);
+        const sockets = this.sockets.get(playerId);
+        if (sockets) {
+            sockets.forEach(socket => socket.emit(event, data));
         }
     }
     
@@ -296,14 +334,22 @@ class PlayerManager {
         });
     }
     
-    // Admin methods
-    setPlayerBalance(playerId, newBalance) {
-        const player = this.players.get(playerId);
-        if (player) {
-            player.balance = newBalance;
-            return true;
+    // Admin methods, balances live in the wallet so offline players work too
+    setPlayerBalance(playerId, newBalance, reason = 'admin_set_balance') {
+        if (!this.wallet.hasAccount(playerId)) return false;
+        
+        const difference = newBalance - this.wallet.getBalance(playerId);
+        if (difference !== 0) {
+            this.wallet.adjust(playerId, difference, reason);
         }
-        return false;
+        return true;
+    }
+    
+    adjustPlayerBalance(playerId, amount, reason = 'admin_adjustment') {
+        if (!this.wallet.hasAccount(playerId)) return false;
+        
+        this.wallet.adjust(playerId, amount, reason);
+        return true;
     }
     
     resetPlayerStats(playerId) {
@@ -323,6 +369,25 @@ class PlayerManager {
         return false;
     }
     
+    // Profile kept in storage (balance lives in the ledger)
+    getProfile(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return null;
+        
+        return {
+            id: player.id,
+            name: player.name,
+            lastSeenAt: player.lastSeenAt,
+            statistics: {
+                gamesPlayed: player.gamesPlayed,
+                totalBets: player.totalBets,
+                totalWinnings: player.totalWinnings,
+                biggestWin: player.biggestWin,
+                longestStreak: player.longestStreak
+            }
+        };
+    }
+    
     // Export player data
     exportPlayerData(playerId) {
         const player = this.players.get(playerId);
@@ -330,7 +395,7 @@ class PlayerManager {
             return {
                 id: player.id,
                 name: player.name,
-                balance: player.balance,
+                balance: this.wallet.getBalance(playerId),
                 statistics: {
                     gamesPlayed: player.gamesPlayed,
                     totalBets: player.totalBets,
@@ -346,4 +411,6 @@ class PlayerManager {
     }
 }
 
+PlayerManager.STARTING_BALANCE = STARTING_BALANCE;
+
 module.exports = PlayerManager;
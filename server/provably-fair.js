@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { crashPointFromHash } = require('../shared/provably-fair');
+const { createLogger } = require('./logger');
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmacSha256(key, message) {
+    return crypto.createHmac('sha256', key).update(message).digest('hex');
+}
+
+// Where the client seed of a chain came from
+const SEED_SOURCES = {
+    PLAYERS: 'players', // seeds sent by registered players after the terminating hash was published
+    SERVER: 'server' // random bytes, only for the short chain of a room's very first boot
+};
+
+class ProvablyFair {
+    constructor(options = {}) {
+        this.chainLength = options.chainLength || 10000;
+        this.logger = options.logger || createLogger('fairness');
+        
+        // The next chain is published this many rounds before it is played
+        // and collects player seeds in the meantime
+        this.seedingRounds = options.seedingRounds || 100;
+        this.maxSeeds = options.maxSeeds || 100;
+        
+        // Called with the chain record when a chain is published and when
+        // its client seed is fixed
+        this.onChain = options.onChain || (() => {});
+        
+        // Called with getState() whenever it changes, for storage
+        this.onState = options.onState || (() => {});
+        
+        // Seeds still to be played, last element is the next round's seed
+        this.chain = [];
+        this.current = null; // record of the chain being played
+        this.currentRootSeed = null; // rebuilds the current chain after a restart
+        this.next = null; // { chain, rootSeed, record, seeds: contributor -> seed } while seeding
+    }
+    
+    // Every seed is the sha256 of the next round's seed, so revealing a seed
+    // proves the previous rounds were committed in advance
+    generateChain(length, rootSeed = crypto.randomBytes(32).toString('hex')) {
+        let seed = rootSeed;
+        const chain = [seed];
+        
+        for (let i = 0; i < length; i++) {
+            seed = sha256(seed);
+            chain.push(seed);
+        }
+        
+        const terminatingHash = chain.pop();
+        
+        return {
+            chain: chain,
+            rootSeed: rootSeed,
+            record: {
+                terminatingHash: terminatingHash,
+                length: length,
+                publishedAt: Date.now(),
+                clientSeedSource: null,
+                seeds: [],
+                clientSeed: null,
+                startedAt: null
+            }
+        };
+    }
+    
+    // The terminating hash goes public before any player seed is taken, so
+    // the chain can't be picked to suit the seeds
+    publishNextChain() {
+        this.next = { ...this.generateChain(this.chainLength), seeds: new Map() };
+        
+        this.logger.info('🔐 Next seed chain published', { terminatingHash: this.next.record.terminatingHash });
+        this.onChain({ ...this.next.record });
+    }
+    
+    // One seed per contributor for the chain being published, fixed once
+    // sent so nobody can keep swapping theirs. Sending the same seed again
+    // is fine, a client resends it after a reconnect
+    contributeSeed(contributor, seed) {
+        if (!this.next) {
+            return { success: false, code: 'seeding_closed', error: 'No seed chain is taking seeds' };
+        }
+        
+        const { seeds } = this.next;
+        const sent = seeds.get(contributor);
+        
+        if (sent !== undefined && sent !== seed) {
+            return { success: false, code: 'seed_already_contributed', error: 'A different seed was already sent for this chain' };
+        }
+        
+        if (sent === undefined) {
+            if (seeds.size >= this.maxSeeds) {
+                return { success: false, code: 'seeding_full', error: 'The next seed chain has all the seeds it takes' };
+            }
+            
+            seeds.set(contributor, seed);
+            this.onState(this.getState());
+        }
+        
+        return { success: true, terminatingHash: this.next.record.terminatingHash };
+    }
+    
+    // Fixes the client seed of the published chain and starts playing it.
+    // A process starts with a short chain seeded by the server, until the
+    // first published chain has had its seeding rounds
+    startNextChain() {
+        let next = this.next;
+        
+        if (next) {
+            next.record.clientSeedSource = SEED_SOURCES.PLAYERS;
+            next.record.seeds = Array.from(next.seeds.values()).sort();
+            next.record.clientSeed = ProvablyFair.clientSeedFromSeeds(next.record.terminatingHash, next.record.seeds);
+        } else {
+            next = this.generateChain(this.seedingRounds);
+            next.record.clientSeedSource = SEED_SOURCES.SERVER;
+            next.record.clientSeed = crypto.randomBytes(16).toString('hex');
+        }
+        
+        next.record.startedAt = Date.now();
+        
+        this.chain = next.chain;
+        this.current = next.record;
+        this.currentRootSeed = next.rootSeed;
+        this.next = null;
+        
+        this.logger.info('🔐 Seed chain started', {
+            terminatingHash: this.current.terminatingHash,
+            clientSeedSource: this.current.clientSeedSource,
+            seeds: this.current.seeds.length
+        });
+        this.onChain({ ...this.current });
+    }
+    
+    // Public records of the chain being played and of the one taking seeds
+    getChains() {
+        return {
+            current: this.current ? { ...this.current } : null,
+            next: this.next ? { ...this.next.record, seedCount: this.next.seeds.size } : null
+        };
+    }
+    
+    nextRound(options = {}) {
+        if (this.chain.length === 0) {
+            this.startNextChain();
+        }
+        
+        const serverSeed = this.chain.pop();
+        const { clientSeed, terminatingHash } = this.current;
+        
+        if (!this.next && this.chain.length < this.seedingRounds) {
+            this.publishNextChain();
+        }
+        
+        // Stored before the round takes off, so a restart never plays this seed again
+        this.onState(this.getState());
+        
+        return {
+            serverSeed: serverSeed,
+            serverSeedHash: sha256(serverSeed),
+            clientSeed: clientSeed,
+            terminatingHash: terminatingHash,
+            ...ProvablyFair.calculate(serverSeed, clientSeed, options)
+        };
+    }
+    
+    // Secret state for storage: the root seed of each chain rebuilds it, plus
+    // how many seeds of the current one are left and the seeds sent so far
+    getState() {
+        return {
+            current: this.current ? {
+                rootSeed: this.currentRootSeed,
+                remaining: this.chain.length,
+                record: { ...this.current }
+            } : null,
+            next: this.next ? {
+                rootSeed: this.next.rootSeed,
+                record: { ...this.next.record },
+                seeds: Array.from(this.next.seeds)
+            } : null
+        };
+    }
+    
+    // Picks up the chains a previous process stored, so a restart neither
+    // drops the published chain nor lets the server seed a new one
+    restore(state) {
+        const rebuild = ({ rootSeed, record }) => {
+            const built = this.generateChain(record.length, rootSeed);
+            if (built.record.terminatingHash !== record.terminatingHash) {
+                throw new Error(`Stored seed chain ${record.terminatingHash} does not match its root seed`);
+            }
+            return built.chain;
+        };
+        
+        if (state.current) {
+            this.chain = rebuild(state.current).slice(0, state.current.remaining);
+            this.current = { ...state.current.record };
+            this.currentRootSeed = state.current.rootSeed;
+        }
+        
+        if (state.next) {
+            this.next = {
+                chain: rebuild(state.next),
+                rootSeed: state.next.rootSeed,
+                record: { ...state.next.record },
+                seeds: new Map(state.next.seeds)
+            };
+        }
+        
+        this.logger.info('🔐 Seed chains restored', {
+            terminatingHash: this.current?.terminatingHash,
+            remaining: this.chain.length,
+            next: this.next?.record.terminatingHash
+        });
+    }
+    
+    static calculate(serverSeed, clientSeed, options = {}) {
+        const hash = hmacSha256(serverSeed, clientSeed);
+        
+        return {
+            hash: hash,
+            crashPoint: crashPointFromHash(hash, options)
+        };
+    }
+    
+    static hashSeed(serverSeed) {
+        return sha256(serverSeed);
+    }
+    
+    // Client seed of a chain seeded by players, from its seeds as recorded:
+    // sorted, so the order they came in doesn't matter
+    static clientSeedFromSeeds(terminatingHash, seeds) {
+        return sha256([terminatingHash, ...seeds].join(':'));
+    }
+}
+
+ProvablyFair.SEED_SOURCES = SEED_SOURCES;
+
+module.exports = ProvablyFair;
@@ -0,0 +1,141 @@
+// Token buckets per key (socket, player or IP) and event type, plus strikes
+// and temporary bans for clients that keep hitting the limits.
+class RateLimiter {
+    constructor(config) {
+        this.buckets = new Map(); // "key|event" -> { tokens, updatedAt }
+        this.strikes = new Map(); // key -> { count, since }
+        this.bans = new Map(); // key -> banned until
+        
+        this.stats = {
+            allowed: 0,
+            limited: 0,
+            limitedByEvent: {},
+            disconnects: 0,
+            bans: 0
+        };
+        
+        this.updateConfig(config);
+    }
+    
+    updateConfig(config) {
+        this.config = config;
+    }
+    
+    getLimit(event) {
+        return this.config.events[event] || this.config.events.default;
+    }
+    
+    // Takes a token from every key's bucket, or none when one of them is empty
+    consume(keys, event) {
+        const limit = this.getLimit(event);
+        const now = Date.now();
+        const buckets = keys.map(key => this.getBucket(`${key}|${event}`, limit, now));
+        
+        if (buckets.some(bucket => bucket.tokens < 1)) {
+            this.stats.limited++;
+            this.stats.limitedByEvent[event] = (this.stats.limitedByEvent[event] || 0) + 1;
+            return false;
+        }
+        
+        buckets.forEach(bucket => bucket.tokens--);
+        this.stats.allowed++;
+        return true;
+    }
+    
+    getBucket(id, limit, now) {
+        let bucket = this.buckets.get(id);
+        
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, updatedAt: now };
+            this.buckets.set(id, bucket);
+            return bucket;
+        }
+        
+        const refill = (now - bucket.updatedAt) / 1000 * limit.refillRate;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + refill);
+        bucket.updatedAt = now;
+        
+        return bucket;
+    }
+    
+    // Returns true once the key went over the strike limit inside the window
+    addStrike(key) {
+        const now = Date.now();
+        let strike = this.strikes.get(key);
+        
+        if (!strike || now - strike.since > this.config.strikeWindow) {
+            strike = { count: 0, since: now };
+            this.strikes.set(key, strike);
+        }
+        
+        strike.count++;
+        return strike.count >= this.config.maxStrikes;
+    }
+    
+    ban(keys) {
+        const until = Date.now() + this.config.banTime;
+        
+        keys.forEach(key => {
+            this.bans.set(key, until);
+            this.strikes.delete(key);
+        });
+        
+        this.stats.bans++;
+        this.stats.disconnects++;
+    }
+    
+    // Milliseconds left on the longest ban among the keys, 0 when not banned
+    getBanTime(keys) {
+        const now = Date.now();
+        
+        return keys.reduce((longest, key) => {
+            const until = this.bans.get(key);
+            return until > now ? Math.max(longest, until - now) : longest;
+        }, 0);
+    }
+    
+    // Drop every bucket of a key, e.g. a disconnected socket
+    forget(key) {
+        for (const id of this.buckets.keys()) {
+            if (id.startsWith(`${key}|`)) {
+                this.buckets.delete(id);
+            }
+        }
+        this.strikes.delete(key);
+    }
+    
+    // Full buckets and expired bans and strikes carry no state worth keeping
+    prune() {
+        const now = Date.now();
+        
+        for (const [id, bucket] of this.buckets) {
+            const limit = this.getLimit(id.slice(id.lastIndexOf('|') + 1));
+            const refill = (now - bucket.updatedAt) / 1000 * limit.refillRate;
+            
+            if (bucket.tokens + refill >= limit.capacity) {
+                this.buckets.delete(id);
+            }
+        }
+        
+        for (const [key, until] of this.bans) {
+            if (until <= now) this.bans.delete(key);
+        }
+        
+        for (const [key, strike] of this.strikes) {
+            if (now - strike.since > this.config.strikeWindow) this.strikes.delete(key);
+        }
+    }
+    
+    getStats() {
+        const now = Date.now();
+        
+        return {
+            ...this.stats,
+            limitedByEvent: { ...this.stats.limitedByEvent },
+            activeBans: Array.from(this.bans.values()).filter(until => until > now).length,
+            trackedBuckets: this.buckets.size
+        };
+    }
+}
+
+module.exports = RateLimiter;
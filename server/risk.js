@@ -0,0 +1,95 @@
+// Per-round risk limits of a GameEngine: seats, the payout of a single bet and
+// the house liability of the whole round.
+//
+// A bet is worth what it already paid plus the stake still riding times the
+// current multiplier. The engine cashes out a bet once it reaches the payout
+// cap, and every riding bet once the round reaches its liability limit.
+class RiskManager {
+    constructor(limits) {
+        this.updateLimits(limits);
+    }
+    
+    updateLimits({ maxPlayers, maxBetPayout, maxRoundPayout }) {
+        this.maxPlayers = maxPlayers;
+        this.maxBetPayout = maxBetPayout;
+        this.maxRoundPayout = maxRoundPayout;
+    }
+    
+    // Returns why a bet would be rejected ({ code, error }), or null.
+    // `bets` are the engine bets of the round
+    checkBet(bets, playerId, amount, autoCashOut) {
+        const players = new Set(bets.map(bet => bet.playerId));
+        
+        if (!players.has(playerId) && players.size >= this.maxPlayers) {
+            return { code: 'round_full', error: 'No seats left in this round' };
+        }
+        
+        if (amount * (autoCashOut || 1) > this.maxBetPayout) {
+            return { code: 'payout_limit', error: `Payout would exceed the R$ ${this.maxBetPayout} limit` };
+        }
+        
+        // Before takeoff every bet is worth its stake
+        if (this.getLiability(bets, 1) + amount > this.maxRoundPayout) {
+            return { code: 'exposure_limit', error: 'Round exposure limit reached' };
+        }
+        
+        return null;
+    }
+    
+    getBetLiability(bet, multiplier) {
+        return bet.winAmount + this.getOpenLiability(bet, multiplier);
+    }
+    
+    // The riding part, capped at what the bet can still pay
+    getOpenLiability(bet, multiplier) {
+        return Math.min(bet.remaining * multiplier, this.maxBetPayout - bet.winAmount);
+    }
+    
+    getLiability(bets, multiplier) {
+        return bets.reduce((sum, bet) => sum + this.getBetLiability(bet, multiplier), 0);
+    }
+    
+    // Riding bets the engine has to cash out at this multiplier, with the
+    // multiplier to pay them at and the reason. A capped bet is paid where it
+    // reached the cap, the round limit pays everyone at the current multiplier
+    getForcedCashOuts(bets, multiplier) {
+        const riding = bets.filter(bet => !bet.hasWon);
+        const capped = riding.filter(bet => bet.winAmount + bet.remaining * multiplier >= this.maxBetPayout);
+        
+        const forced = capped.map(bet => ({
+            bet,
+            multiplier: (this.maxBetPayout - bet.winAmount) / bet.remaining,
+            reason: 'payout_limit'
+        }));
+        
+        if (this.getLiability(bets, multiplier) >= this.maxRoundPayout) {
+            riding
+                .filter(bet => !capped.includes(bet))
+                .forEach(bet => forced.push({ bet, multiplier, reason: 'exposure_limit' }));
+        }
+        
+        return forced;
+    }
+    
+    describe(bets, multiplier) {
+        const openLiability = bets.reduce((sum, bet) => sum + this.getOpenLiability(bet, multiplier), 0);
+        const paidOut = bets.reduce((sum, bet) => sum + bet.winAmount, 0);
+        
+        return {
+            seats: new Set(bets.map(bet => bet.playerId)).size,
+            maxSeats: this.maxPlayers,
+            openLiability: roundCents(openLiability),
+            paidOut: roundCents(paidOut),
+            liability: roundCents(openLiability + paidOut),
+            maxRoundPayout: this.maxRoundPayout,
+            maxBetPayout: this.maxBetPayout,
+            utilization: (openLiability + paidOut) / this.maxRoundPayout
+        };
+    }
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+module.exports = RiskManager;
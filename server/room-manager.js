@@ -0,0 +1,177 @@
+const EventEmitter = require('events');
+const GameEngine = require('./game-logic');
+const { createLogger } = require('./logger');
+
+// Engine events forwarded with the room they happened in
+const ENGINE_EVENTS = ['game_state_changed', 'player_auto_cashed_out', 'round_finished', 'round_aborted', 'seed_chain', 'fairness_state', 'tick'];
+
+// One GameEngine per table, each broadcasting to its own Socket.IO room
+class RoomManager extends EventEmitter {
+    constructor(io, rooms) {
+        super();
+        this.io = io;
+        this.rooms = new Map(); // roomId -> { id, name, limits, channel, engine }
+        
+        // Round ids are unique across every room
+        this.lastRoundId = 0;
+        
+        rooms.forEach(room => this.addRoom(room));
+    }
+    
+    addRoom({ id, name, limits, game }) {
+        const engine = new GameEngine(this.io, game, {
+            nextRoundId: () => ++this.lastRoundId,
+            logger: createLogger('game', { roomId: id })
+        });
+        
+        const room = {
+            id: id,
+            name: name,
+            limits: limits,
+            channel: `room:${id}`,
+            engine: engine
+        };
+        
+        ENGINE_EVENTS.forEach(event => {
+            engine.on(event, (data) => this.emit(event, this.tagWithRoom(event, data, room), room));
+        });
+        
+        this.rooms.set(id, room);
+        
+        return room;
+    }
+    
+    // Stored rounds and bets remember which table they were played on
+    tagWithRoom(event, data, room) {
+        switch (event) {
+            case 'round_finished':
+                return {
+                    round: { ...data.round, roomId: room.id },
+                    bets: data.bets.map(bet => ({ ...bet, roomId: room.id }))
+                };
+                
+            case 'round_aborted':
+                return {
+                    ...data,
+                    bets: data.bets.map(bet => ({ ...bet, roomId: room.id }))
+                };
+                
+            default:
+                return data;
+        }
+    }
+    
+    getRoom(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+    
+    getDefaultRoom() {
+        return this.rooms.values().next().value;
+    }
+    
+    getRooms() {
+        return Array.from(this.rooms.values());
+    }
+    
+    start() {
+        this.rooms.forEach(room => room.engine.start());
+    }
+    
+    stop() {
+        this.rooms.forEach(room => room.engine.stop());
+    }
+    
+    // Settle or abort the round of every room, see GameEngine.drain
+    drain(timeout) {
+        return Promise.all(this.getRooms().map(room => room.engine.drain(timeout)));
+    }
+    
+    // Reloaded settings, matched by room id
+    updateConfig(rooms) {
+        rooms.forEach(({ id, limits, game }) => {
+            const room = this.rooms.get(id);
+            if (!room) return;
+            
+            room.limits = limits;
+            room.engine.updateConfig(game);
+        });
+    }
+    
+    // Aborted rounds are never stored, `minRoundId` keeps their ids from
+    // being handed out again
+    async rehydrate(repository, minRoundId = 0) {
+        const totals = await repository.getRoundTotals();
+        this.lastRoundId = Math.max(totals.lastRoundId, minRoundId);
+        
+        for (const room of this.rooms.values()) {
+            const { historySize, verificationHistorySize } = room.engine.config;
+            const rounds = await repository.getRecentRounds(Math.max(historySize, verificationHistorySize), room.id);
+            
+            room.engine.rehydrate(rounds, await repository.getRoundTotals(room.id));
+            
+            const fairness = await repository.getFairnessState(room.id);
+            if (fairness) {
+                room.engine.restoreFairness(fairness);
+            }
+        }
+    }
+    
+    // Bets of a player across every room
+    getPlayerBets(playerId) {
+        return this.getRooms().flatMap(room => room.engine.getActiveBets(playerId)
+            .map(bet => ({ ...bet, roomId: room.id, inFlight: !room.engine.canPlaceBet() })));
+    }
+    
+    removePlayer(playerId) {
+        return this.getRooms().flatMap(room => room.engine.removePlayer(playerId)
+            .map(bet => ({ ...bet, roomId: room.id })));
+    }
+    
+    getRoundVerification(gameId) {
+        for (const room of this.rooms.values()) {
+            const verification = room.engine.getRoundVerification(gameId);
+            if (verification) return verification;
+        }
+        
+        return null;
+    }
+    
+    // Distinct players with a socket in the room
+    getPlayerCount(roomId) {
+        const room = this.rooms.get(roomId);
+        const socketIds = room ? this.io.sockets.adapter.rooms.get(room.channel) : null;
+        if (!socketIds) return 0;
+        
+        const players = new Set();
+        socketIds.forEach(socketId => {
+            const playerId = this.io.sockets.sockets.get(socketId)?.data.playerId;
+            if (playerId) players.add(playerId);
+        });
+        
+        return players.size;
+    }
+    
+    // Lobby listing
+    describe() {
+        return this.getRooms().map(room => ({
+            id: room.id,
+            name: room.name,
+            limits: room.limits,
+            state: room.engine.getGameState(),
+            gameId: room.engine.gameId,
+            players: this.getPlayerCount(room.id),
+            activeBets: room.engine.getStats().activeBets,
+            lastCrashPoints: room.engine.getHistory().slice(0, 5).map(entry => entry.crashPoint)
+        }));
+    }
+    
+    getStats() {
+        const stats = {};
+        this.rooms.forEach((room, id) => {
+            stats[id] = room.engine.getStats();
+        });
+        return stats;
+    }
+}
+
+module.exports = RoomManager;
@@ -0,0 +1,160 @@
+// Write-ahead record of the bets of every round. A round with bets but no
+// closing entry was cut short, so after a crash the next boot can find the
+// stakes still riding and pay them back.
+const { getRefundableStake } = require('./game-logic');
+
+const ENTRY_TYPES = {
+    BET_PLACED: 'bet_placed',
+    BET_CASHED_OUT: 'bet_cashed_out',
+    BET_REFUNDED: 'bet_refunded',
+    ROUND_FINISHED: 'round_finished',
+    ROUND_ABORTED: 'round_aborted'
+};
+
+class RoundJournal {
+    constructor(repository) {
+        this.repository = repository;
+        this.openRounds = new Set(); // gameIds with journaled bets and no closing entry
+        this.lastGameId = 0;
+    }
+    
+    record(type, roomId, gameId, details = {}) {
+        this.lastGameId = Math.max(this.lastGameId, gameId);
+        
+        this.repository.appendJournalEntry({
+            type: type,
+            roomId: roomId,
+            gameId: gameId,
+            ...details,
+            createdAt: Date.now()
+        });
+    }
+    
+    betPlaced(roomId, gameId, bet) {
+        this.openRounds.add(gameId);
+        this.record(ENTRY_TYPES.BET_PLACED, roomId, gameId, {
+            betId: bet.betId,
+            playerId: bet.playerId,
+            slot: bet.slot,
+            amount: bet.amount,
+            autoCashOut: bet.autoCashOut,
+            placedAt: bet.placedAt
+        });
+    }
+    
+    // One entry per cash out, `amount` is the part of the stake it closed
+    betCashedOut(roomId, gameId, betId, amount, multiplier, winAmount) {
+        this.record(ENTRY_TYPES.BET_CASHED_OUT, roomId, gameId, { betId, amount, multiplier, winAmount });
+    }
+    
+    betRefunded(roomId, gameId, betId) {
+        this.record(ENTRY_TYPES.BET_REFUNDED, roomId, gameId, { betId });
+    }
+    
+    // Rounds nobody bet on never made it into the journal
+    roundFinished(roomId, gameId) {
+        this.close(ENTRY_TYPES.ROUND_FINISHED, roomId, gameId);
+    }
+    
+    roundAborted(roomId, gameId) {
+        this.close(ENTRY_TYPES.ROUND_ABORTED, roomId, gameId);
+    }
+    
+    close(type, roomId, gameId) {
+        if (!this.openRounds.delete(gameId)) return;
+        this.record(type, roomId, gameId);
+    }
+    
+    // Rounds a previous process left open, with their bets as stored bet
+    // records: fully cashed out ones as 'won', the rest as 'refunded'
+    async load() {
+        const rounds = new Map(); // gameId -> { roomId, gameId, bets: betId -> record }
+        
+        for (const entry of await this.repository.getJournalEntries()) {
+            this.lastGameId = Math.max(this.lastGameId, entry.gameId);
+            
+            const round = rounds.get(entry.gameId);
+            
+            switch (entry.type) {
+                case ENTRY_TYPES.BET_PLACED:
+                    if (!round) {
+                        rounds.set(entry.gameId, { roomId: entry.roomId, gameId: entry.gameId, bets: new Map() });
+                    }
+                    
+                    rounds.get(entry.gameId).bets.set(entry.betId, {
+                        id: entry.betId,
+                        roundId: entry.gameId,
+                        roomId: entry.roomId,
+                        playerId: entry.playerId,
+                        slot: entry.slot,
+                        amount: entry.amount,
+                        autoCashOut: entry.autoCashOut,
+                        cashOutMultiplier: null,
+                        payout: 0,
+                        cashOuts: [],
+                        outcome: 'refunded',
+                        placedAt: entry.placedAt
+                    });
+                    break;
+                
+                case ENTRY_TYPES.BET_CASHED_OUT: {
+                    const bet = round?.bets.get(entry.betId);
+                    if (bet) {
+                        // Entries written before partial cash outs closed the whole stake
+                        const amount = entry.amount ?? bet.amount;
+                        
+                        bet.cashOuts.push({ amount, multiplier: entry.multiplier, payout: entry.winAmount });
+                        bet.cashOutMultiplier = entry.multiplier;
+                        bet.payout = Math.round((bet.payout + entry.winAmount) * 100) / 100;
+                        
+                        if (getRefundableStake(bet) === 0) {
+                            bet.outcome = 'won';
+                        }
+                    }
+                    break;
+                }
+                
+                case ENTRY_TYPES.BET_REFUNDED:
+                    round?.bets.delete(entry.betId);
+                    break;
+                
+                case ENTRY_TYPES.ROUND_FINISHED:
+                case ENTRY_TYPES.ROUND_ABORTED:
+                    rounds.delete(entry.gameId);
+                    break;
+            }
+        }
+        
+        // Still open until the caller settles them
+        rounds.forEach((round, gameId) => this.openRounds.add(gameId));
+        
+        return Array.from(rounds.values()).map(round => ({
+            ...round,
+            bets: Array.from(round.bets.values())
+        }));
+    }
+    
+    // Drop the entries of closed rounds, once the rounds load() found open
+    // are settled. The latest closing entry stays so the next boot still
+    // knows the last gameId. Returns how many entries were dropped
+    async compact() {
+        const entries = await this.repository.getJournalEntries();
+        const kept = entries.filter(entry => this.openRounds.has(entry.gameId));
+        
+        const lastClosing = entries
+            .filter(entry => entry.type === ENTRY_TYPES.ROUND_FINISHED || entry.type === ENTRY_TYPES.ROUND_ABORTED)
+            .reduce((latest, entry) => !latest || entry.gameId > latest.gameId ? entry : latest, null);
+        
+        if (lastClosing && !kept.some(entry => entry.gameId >= lastClosing.gameId)) {
+            kept.unshift(lastClosing);
+        }
+        
+        if (kept.length < entries.length) {
+            await this.repository.replaceJournalEntries(kept);
+        }
+        
+        return entries.length - kept.length;
+    }
+}
+
+module.exports = RoundJournal;
@@ -0,0 +1,118 @@
+// Offline simulation of the crash point distribution
+//
+// Usage: npm run simulate -- [--rounds=1000000] [--house-edge=0.01] [--targets=1.5,2,10] [--no-cap]
+
+const crypto = require('crypto');
+const GameEngine = require('../game-logic');
+const ProvablyFair = require('../provably-fair');
+
+function parseArgs(argv) {
+    const args = {};
+    
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value === undefined ? true : value;
+    });
+    
+    return args;
+}
+
+function percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+    return sorted[index];
+}
+
+function simulate(options) {
+    const { rounds, crashPointOptions, targets } = options;
+    const crashPoints = new Float64Array(rounds);
+    const clientSeed = crypto.randomBytes(16).toString('hex');
+    let serverSeed = crypto.randomBytes(32).toString('hex');
+    
+    // Walk a seed chain exactly like the game does
+    for (let i = 0; i < rounds; i++) {
+        serverSeed = ProvablyFair.hashSeed(serverSeed);
+        crashPoints[i] = ProvablyFair.calculate(serverSeed, clientSeed, crashPointOptions).crashPoint;
+    }
+    
+    crashPoints.sort();
+    
+    // A flat bet with auto cash out at `target` pays target x stake when the
+    // engine pays it, i.e. when the round crashes strictly above the target
+    const rtp = targets.map(target => {
+        let wins = 0;
+        for (let i = 0; i < rounds; i++) {
+            if (GameEngine.paysTarget(target, crashPoints[i])) wins++;
+        }
+        
+        return { target, winRate: wins / rounds, rtp: (wins * target) / rounds };
+    });
+    
+    let sum = 0;
+    let instantCrashes = 0;
+    for (let i = 0; i < rounds; i++) {
+        sum += crashPoints[i];
+        if (crashPoints[i] === 1) instantCrashes++;
+    }
+    
+    return {
+        mean: sum / rounds,
+        median: percentile(crashPoints, 0.5),
+        percentiles: [0.01, 0.1, 0.25, 0.5, 0.75, 0.9, 0.99, 0.999].map(p => ({
+            p,
+            value: percentile(crashPoints, p)
+        })),
+        instantCrashRate: instantCrashes / rounds,
+        rtp
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const engine = new GameEngine(null);
+    
+    if (args['house-edge'] !== undefined) {
+        engine.config.houseEdge = parseFloat(args['house-edge']);
+    }
+    
+    const rounds = parseInt(args.rounds || '1000000', 10);
+    const targets = (args.targets || '1.01,1.5,2,3,5,10,100')
+        .split(',')
+        .map(parseFloat);
+    
+    const crashPointOptions = engine.getCrashPointOptions();
+    if (args['no-cap']) {
+        crashPointOptions.maxMultiplier = Infinity;
+    }
+    
+    if (!(rounds > 0) || targets.some(target => !(target >= 1)) ||
+        !(crashPointOptions.houseEdge >= 0 && crashPointOptions.houseEdge < 1)) {
+        console.error('Invalid arguments');
+        process.exit(1);
+    }
+    
+    console.log(`🎲 Simulating ${rounds} rounds (house edge ${(crashPointOptions.houseEdge * 100).toFixed(2)}%, cap ${crashPointOptions.maxMultiplier}x)`);
+    
+    const startedAt = Date.now();
+    const result = simulate({ rounds, crashPointOptions, targets });
+    
+    console.log(`\nFinished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s\n`);
+    console.log(`Mean crash point:   ${result.mean.toFixed(4)}x`);
+    console.log(`Median crash point: ${result.median.toFixed(2)}x`);
+    console.log(`Instant crashes:    ${(result.instantCrashRate * 100).toFixed(3)}%`);
+    
+    console.log('\nPercentiles:');
+    result.percentiles.forEach(({ p, value }) => {
+        console.log(`  p${(p * 100).toString().padEnd(5)} ${value.toFixed(2)}x`);
+    });
+    
+    console.log('\nRTP by auto cash out target:');
+    result.rtp.forEach(({ target, winRate, rtp }) => {
+        console.log(`  ${target.toFixed(2).padStart(7)}x  win ${(winRate * 100).toFixed(3).padStart(7)}%  RTP ${(rtp * 100).toFixed(3)}%`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulate };
@@ -1,57 +1,173 @@
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { monitorEventLoopDelay } = require('perf_hooks');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 require('dotenv').config();
 
-const GameEngine = require('./game-logic');
+const RoomManager = require('./room-manager');
+const { getRefundableStake, paysTarget } = require('./game-logic');
 const PlayerManager = require('./player-manager');
+const Wallet = require('./wallet');
+const RoundJournal = require('./round-journal');
+const AutoBetManager = require('./auto-bet');
+const AccountManager = require('./accounts');
+const Leaderboard = require('./leaderboard');
+const ChatManager = require('./chat');
+const { validatePayload } = require('./validation');
+const RateLimiter = require('./rate-limiter');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createLogger, configureLogging, closeLogging } = require('./logger');
+const { createRepository } = require('./storage');
+const { ConfigError, loadConfig, describeConfig } = require('./config');
+
+const logger = createLogger('server');
+const httpLogger = createLogger('http');
+const socketLogger = createLogger('socket');
+const adminLogger = createLogger('admin');
+const autoBetLogger = createLogger('auto-bet');
+
+const MAX_MISSED_OUTCOMES = 10;
+const MAX_MAINTENANCE_MESSAGE_LENGTH = 500;
+const LEADERBOARD_PUSH_DELAY = 5000;
+const ABORT_REFUND_REASON = 'round_aborted';
+const ROUNDS_PAGE_SIZE = 20;
+const MAX_ROUNDS_PAGE_SIZE = 100;
+
+// Placement errors that only keep an auto bet out of the current round
+const ROUND_SKIP_CODES = ['bet_already_placed', 'round_full', 'exposure_limit'];
+
+const EVENT_LOOP_RESOLUTION = 20; // ms
+
+// Histogram buckets
+const CRASH_POINT_BUCKETS = [1.01, 1.2, 1.5, 2, 3, 5, 10, 20, 50, 100, 1000];
+const TICK_DURATION_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1];
+const EVENT_DURATION_BUCKETS = [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
 
 class CrashRocketServer {
-    constructor() {
+    constructor(config) {
+        this.config = config;
+        
         this.app = express();
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server, {
             cors: {
-                origin: process.env.CLIENT_URL || "*",
+                origin: this.config.clientUrl,
                 methods: ["GET", "POST"],
                 credentials: true
             },
             transports: ['websocket', 'polling']
         });
         
-        this.gameEngine = new GameEngine(this.io);
-        this.playerManager = new PlayerManager();
+        this.repository = createRepository(this.config.storage);
+        this.journal = new RoundJournal(this.repository);
+        this.roomManager = new RoomManager(this.io, this.config.rooms);
+        this.wallet = new Wallet();
+        this.playerManager = new PlayerManager(this.wallet);
+        this.accountManager = new AccountManager(this.repository, {
+            sessionSecret: this.config.session.secret,
+            sessionTtl: this.config.session.ttl
+        });
+        this.leaderboard = new Leaderboard(this.repository);
+        this.chatManager = new ChatManager(this.repository, this.config.chat);
+        this.rateLimiter = new RateLimiter(this.config.rateLimit);
+        this.autoBets = new AutoBetManager();
+        
+        this.port = this.config.port;
         
-        this.port = process.env.PORT || 3001;
+        // Banner shown to every client while set through the admin API
+        this.maintenance = null;
         
+        this.setupMetrics();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
-        this.startServer();
+        this.setupWalletHandlers();
+        this.setupStorageHandlers();
+        this.setupLeaderboardHandlers();
+        this.setupAutoBetHandlers();
+        this.setupSessionHandlers();
+        
+        this.startServer().catch((error) => {
+            logger.error('💥 Failed to start server', { error });
+            process.exit(1);
+        });
     }
     
     setupMiddleware() {
+        // Behind a proxy the client address comes from X-Forwarded-For
+        if (this.config.trustProxy) {
+            this.app.set('trust proxy', true);
+        }
+        
         // Security and optimization
         this.app.use(helmet({
             contentSecurityPolicy: false // Disable for Socket.IO
         }));
         this.app.use(compression());
         this.app.use(cors({
-            origin: process.env.CLIENT_URL || "*",
+            origin: this.config.clientUrl,
             credentials: true
         }));
         this.app.use(express.json());
         
         // Request logging
         this.app.use((req, res, next) => {
-            console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+            httpLogger.debug(`${req.method} ${req.path}`, { ip: req.ip });
             next();
         });
     }
     
+    // Bearer token check for operator endpoints
+    requireAdmin(req, res, next) {
+        const adminToken = this.config.adminToken;
+        
+        if (!adminToken) {
+            return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+        }
+        
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        
+        const expected = Buffer.from(adminToken);
+        const received = Buffer.from(token);
+        
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        next();
+    }
+    
+    // Re-read .env and apply game settings from the next round on
+    reloadConfig() {
+        require('dotenv').config({ override: true });
+        
+        const config = loadConfig();
+        
+        this.config = {
+            ...this.config,
+            logging: { ...this.config.logging, level: config.logging.level, levels: config.logging.levels },
+            game: config.game,
+            rooms: config.rooms,
+            chat: config.chat,
+            rateLimit: config.rateLimit
+        };
+        
+        this.roomManager.updateConfig(config.rooms);
+        this.chatManager.updateConfig(config.chat);
+        this.rateLimiter.updateConfig(config.rateLimit);
+        configureLogging(this.config.logging);
+        
+        logger.info('🔄 Configuration reloaded, applies from the next round');
+        
+        return this.config;
+    }
+    
     setupRoutes() {
         // Health check
         this.app.get('/health', (req, res) => {
@@ -59,7 +175,7 @@ class CrashRocketServer {
                 status: 'ok',
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
-                gameState: this.gameEngine.getGameState(),
+                rooms: this.roomManager.getRooms().length,
                 playersOnline: this.playerManager.getPlayerCount()
             });
         });
@@ -67,14 +183,154 @@ class CrashRocketServer {
         // Game stats
         this.app.get('/stats', (req, res) => {
             res.json({
-                gameStats: this.gameEngine.getStats(),
-                players: this.playerManager.getStats()
+                gameStats: this.roomManager.getStats(),
+                players: this.playerManager.getStats(),
+                wallet: this.wallet.getStats(),
+                rateLimits: this.rateLimiter.getStats()
+            });
+        });
+        
+        // Prometheus scrape target
+        this.app.get('/metrics', (req, res) => {
+            res.set('Content-Type', METRICS_CONTENT_TYPE);
+            res.send(this.metrics.registry.render());
+        });
+        
+        // Effective configuration
+        const requireAdmin = this.requireAdmin.bind(this);
+        
+        this.app.get('/config', requireAdmin, (req, res) => {
+            res.json({
+                config: describeConfig(this.config),
+                rooms: this.roomManager.getRooms().map(room => ({
+                    id: room.id,
+                    limits: room.limits,
+                    engine: room.engine.config,
+                    pendingEngineConfig: room.engine.pendingConfig
+                }))
             });
         });
         
+        this.app.post('/config/reload', requireAdmin, (req, res) => {
+            try {
+                const config = this.reloadConfig();
+                this.audit(req, 'config_reload');
+                res.json({ success: true, config: describeConfig(config) });
+            } catch (error) {
+                if (error instanceof ConfigError) {
+                    return res.status(400).json({ error: 'Invalid configuration', details: error.errors });
+                }
+                throw error;
+            }
+        });
+        
+        // Operator actions
+        this.setupAdminRoutes(requireAdmin);
+        
+        // Lobby
+        this.app.get('/rooms', (req, res) => {
+            res.json({ rooms: this.roomManager.describe() });
+        });
+        
+        // Rankings over settled bets
+        this.app.get('/leaderboard', async (req, res, next) => {
+            try {
+                const { period = 'daily', metric = 'profit', playerId = null } = req.query;
+                
+                const error = this.validateLeaderboardQuery(period, metric);
+                if (error) {
+                    return res.status(400).json(error);
+                }
+                
+                res.json(await this.leaderboard.getBoard(period, metric, playerId));
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        // Finished rounds, newest first; pass nextBefore back as `before` for the next page
+        this.app.get('/rounds', async (req, res, next) => {
+            try {
+                const query = this.parseRoundsQuery(req.query);
+                if (query.error) {
+                    return res.status(400).json({ error: query.error });
+                }
+                
+                const { limit, roomId, before } = query;
+                const rounds = await this.repository.getRecentRounds(limit, roomId, before);
+                
+                res.json({
+                    rounds: rounds,
+                    nextBefore: rounds.length === limit ? rounds[rounds.length - 1].id : null
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        // Full round record with every bet
+        this.app.get('/rounds/:gameId', async (req, res, next) => {
+            try {
+                const gameId = Number(req.params.gameId);
+                if (!Number.isInteger(gameId) || gameId < 1) {
+                    return res.status(400).json({ error: 'Invalid round id' });
+                }
+                
+                const round = await this.repository.getRound(gameId);
+                if (!round) {
+                    return res.status(404).json({ error: 'Round not found' });
+                }
+                
+                res.json({ round: await this.describeRound(round) });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        // Provably fair verification, with the record of how the client seed was chosen
+        this.app.get('/rounds/:gameId/verify', async (req, res, next) => {
+            try {
+                const gameId = parseInt(req.params.gameId, 10);
+                const verification = this.roomManager.getRoundVerification(gameId);
+                
+                if (!verification) {
+                    return res.status(404).json({ error: 'Round not found' });
+                }
+                
+                const seedChain = await this.repository.getSeedChain(verification.terminatingHash);
+                
+                if (!verification.revealed) {
+                    return res.status(409).json({
+                        error: 'Round has not crashed yet',
+                        ...verification,
+                        seedChain: seedChain
+                    });
+                }
+                
+                res.json({ ...verification, seedChain: seedChain });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        this.app.get('/fairness/chains/:terminatingHash', async (req, res, next) => {
+            try {
+                const seedChain = await this.repository.getSeedChain(req.params.terminatingHash);
+                
+                if (!seedChain) {
+                    return res.status(404).json({ error: 'Seed chain not found' });
+                }
+                
+                res.json({ seedChain });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
         // Serve static files in production
-        if (process.env.NODE_ENV === 'production') {
-            this.app.use(express.static('../client'));
+        if (this.config.nodeEnv === 'production') {
+            this.app.use(express.static(path.join(__dirname, '../client')));
+            this.app.use('/shared', express.static(path.join(__dirname, '../shared')));
             
             this.app.get('*', (req, res) => {
                 res.sendFile(path.join(__dirname, '../client/index.html'));
@@ -88,239 +344,1664 @@ class CrashRocketServer {
         
         // Error handler
         this.app.use((err, req, res, next) => {
-            console.error('Server error:', err);
+            httpLogger.error('Server error', { error: err, method: req.method, path: req.path });
             res.status(500).json({ error: 'Internal server error' });
         });
     }
     
+    setupAdminRoutes(requireAdmin) {
+        const admin = express.Router();
+        admin.use(requireAdmin);
+        
+        // Pause or resume between rounds, every room unless roomId is given
+        admin.post('/pause', (req, res) => this.setRoomsPaused(req, res, true));
+        admin.post('/resume', (req, res) => this.setRoomsPaused(req, res, false));
+        
+        admin.get('/bets', (req, res) => {
+            const bets = this.roomManager.getRooms().flatMap(room => room.engine.getRoundBets().map(bet => ({
+                ...bet,
+                roomId: room.id,
+                state: room.engine.getGameState(),
+                playerName: this.playerManager.getPlayer(bet.playerId)?.name || null
+            })));
+            
+            res.json({ bets });
+        });
+        
+        // { amount } adds to the balance (negative to remove), { balance } sets it
+        admin.post('/players/:playerId/balance', (req, res) => {
+            const { playerId } = req.params;
+            const { amount, balance, reason } = req.body || {};
+            
+            if (!this.wallet.hasAccount(playerId)) {
+                return res.status(404).json({ error: 'Player not found' });
+            }
+            
+            const current = this.wallet.getBalance(playerId);
+            const target = balance !== undefined ? balance : current + amount;
+            
+            if (!Number.isFinite(target) || (balance !== undefined) === (amount !== undefined)) {
+                return res.status(400).json({ error: 'Send either a numeric amount or a numeric balance' });
+            }
+            
+            if (target < 0) {
+                return res.status(400).json({ error: 'Balance cannot go below zero' });
+            }
+            
+            const ledgerReason = reason ? `admin_balance: ${reason}` : 'admin_balance';
+            if (balance !== undefined) {
+                this.playerManager.setPlayerBalance(playerId, balance, ledgerReason);
+            } else {
+                this.playerManager.adjustPlayerBalance(playerId, amount, ledgerReason);
+            }
+            this.audit(req, 'balance_set', { playerId, from: current, to: this.wallet.getBalance(playerId), reason: reason || null });
+            
+            res.json({ playerId, balance: this.wallet.getBalance(playerId) });
+        });
+        
+        // Back to the starting balance, { stats: true } also clears statistics
+        admin.post('/players/:playerId/reset', async (req, res, next) => {
+            try {
+                const { playerId } = req.params;
+                
+                if (!this.wallet.hasAccount(playerId)) {
+                    return res.status(404).json({ error: 'Player not found' });
+                }
+                
+                const current = this.wallet.getBalance(playerId);
+                this.playerManager.setPlayerBalance(playerId, PlayerManager.STARTING_BALANCE, 'admin_reset');
+                
+                const resetStats = req.body?.stats === true;
+                if (resetStats) {
+                    await this.resetPlayerStats(playerId);
+                }
+                
+                this.audit(req, 'balance_reset', { playerId, from: current, to: PlayerManager.STARTING_BALANCE, stats: resetStats });
+                
+                res.json({ playerId, balance: this.wallet.getBalance(playerId), statsReset: resetStats });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        admin.post('/players/:playerId/kick', (req, res) => {
+            const { playerId } = req.params;
+            const reason = req.body?.reason || null;
+            
+            const kicked = this.kickPlayer(playerId, reason);
+            if (kicked === 0) {
+                return res.status(404).json({ error: 'Player not connected' });
+            }
+            
+            this.audit(req, 'player_kick', { playerId, reason, sockets: kicked });
+            
+            res.json({ playerId, sockets: kicked });
+        });
+        
+        // { minutes } for a temporary ban, permanent without it
+        admin.post('/players/:playerId/ban', async (req, res, next) => {
+            try {
+                const { playerId } = req.params;
+                const { minutes, reason = null } = req.body || {};
+                
+                if (minutes !== undefined && (!Number.isInteger(minutes) || minutes < 1)) {
+                    return res.status(400).json({ error: 'minutes must be a positive integer' });
+                }
+                
+                if (!await this.repository.getPlayer(playerId)) {
+                    return res.status(404).json({ error: 'Player not found' });
+                }
+                
+                const ban = {
+                    until: minutes ? Date.now() + minutes * 60000 : null,
+                    reason: reason,
+                    createdAt: Date.now()
+                };
+                
+                await this.repository.savePlayer({ id: playerId, ban });
+                const kicked = this.kickPlayer(playerId, reason);
+                
+                this.audit(req, 'player_ban', { playerId, minutes: minutes || null, reason, sockets: kicked });
+                
+                res.json({ playerId, ban });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        admin.post('/players/:playerId/unban', async (req, res, next) => {
+            try {
+                const { playerId } = req.params;
+                
+                if (!await this.repository.getPlayer(playerId)) {
+                    return res.status(404).json({ error: 'Player not found' });
+                }
+                
+                await this.repository.savePlayer({ id: playerId, ban: null });
+                this.audit(req, 'player_unban', { playerId });
+                
+                res.json({ playerId, ban: null });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        admin.post('/maintenance', (req, res) => {
+            const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+            
+            if (!message || message.length > MAX_MAINTENANCE_MESSAGE_LENGTH) {
+                return res.status(400).json({ error: `message must have 1-${MAX_MAINTENANCE_MESSAGE_LENGTH} characters` });
+            }
+            
+            this.maintenance = { message, startedAt: Date.now() };
+            this.io.emit('maintenance', { active: true, ...this.maintenance });
+            this.audit(req, 'maintenance_on', { message });
+            
+            res.json({ maintenance: this.maintenance });
+        });
+        
+        admin.delete('/maintenance', (req, res) => {
+            this.maintenance = null;
+            this.io.emit('maintenance', { active: false });
+            this.audit(req, 'maintenance_off');
+            
+            res.json({ maintenance: null });
+        });
+        
+        admin.get('/audit', async (req, res, next) => {
+            try {
+                const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+                res.json({ entries: await this.repository.getAuditEntries(limit) });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        this.app.use('/admin', admin);
+    }
+    
+    setRoomsPaused(req, res, paused) {
+        const roomId = req.body?.roomId;
+        const rooms = roomId ? [this.roomManager.getRoom(roomId)] : this.roomManager.getRooms();
+        
+        if (rooms.includes(null)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        rooms.forEach(room => paused ? room.engine.pause() : room.engine.resume());
+        this.audit(req, paused ? 'rooms_pause' : 'rooms_resume', { rooms: rooms.map(room => room.id) });
+        
+        res.json({
+            rooms: rooms.map(room => ({ id: room.id, state: room.engine.getGameState(), paused: room.engine.paused }))
+        });
+    }
+    
+    // Disconnect every socket of a player, returns how many were open
+    kickPlayer(playerId, reason) {
+        const sockets = this.playerManager.getPlayerSockets(playerId);
+        
+        sockets.forEach(socket => {
+            socket.emit('kicked', { reason });
+            socket.disconnect(true);
+        });
+        
+        return sockets.length;
+    }
+    
+    async resetPlayerStats(playerId) {
+        if (this.playerManager.resetPlayerStats(playerId)) {
+            this.savePlayerProfile(playerId);
+            return;
+        }
+        
+        await this.repository.savePlayer({
+            id: playerId,
+            statistics: { gamesPlayed: 0, totalBets: 0, totalWinnings: 0, biggestWin: 0, longestStreak: 0 }
+        });
+    }
+    
+    audit(req, action, details = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            action: action,
+            details: details,
+            ip: req.ip,
+            createdAt: Date.now()
+        };
+        
+        adminLogger.info(`🛡️ Admin ${action}`, { ...details, ip: req.ip });
+        this.repository.appendAuditEntry(entry);
+    }
+    
+    setupMetrics() {
+        const registry = new MetricsRegistry();
+        
+        const metrics = {
+            registry: registry,
+            rounds: registry.counter('crash_rounds_total', 'Rounds played', ['room']),
+            crashPoints: registry.histogram('crash_multiplier', 'Crash point of finished rounds', ['room'], CRASH_POINT_BUCKETS),
+            bets: registry.counter('crash_bets_total', 'Settled bets', ['room']),
+            betAmount: registry.counter('crash_bet_amount_total', 'Amount wagered on settled bets', ['room']),
+            payouts: registry.counter('crash_payouts_total', 'Bets paid out', ['room']),
+            payoutAmount: registry.counter('crash_payout_amount_total', 'Amount paid out to winning bets', ['room']),
+            tickDuration: registry.histogram('crash_tick_duration_seconds', 'Duration of one game loop tick', ['room'], TICK_DURATION_BUCKETS),
+            eventDuration: registry.histogram('crash_socket_event_duration_seconds', 'Socket event handler latency', ['event'], EVENT_DURATION_BUCKETS),
+            sockets: registry.gauge('crash_connected_sockets', 'Connected Socket.IO clients'),
+            players: registry.gauge('crash_players', 'Players in memory, including those within the reconnect grace period'),
+            liability: registry.gauge('crash_round_liability', 'House liability of the current round: riding stakes at the current multiplier plus payouts', ['room']),
+            eventLoopLag: registry.gauge('crash_event_loop_lag_seconds', 'Event loop delay since the previous scrape', ['quantile'])
+        };
+        
+        this.roomManager.on('round_finished', ({ round, bets }, room) => {
+            const labels = { room: room.id };
+            
+            metrics.rounds.inc(labels);
+            metrics.crashPoints.observe(labels, round.crashPoint);
+            metrics.bets.inc(labels, bets.length);
+            metrics.betAmount.inc(labels, round.totalBets);
+            metrics.payouts.inc(labels, bets.filter(bet => bet.outcome === 'won').length);
+            metrics.payoutAmount.inc(labels, round.totalPayouts);
+        });
+        
+        this.roomManager.on('tick', (duration, room) => {
+            metrics.tickDuration.observe({ room: room.id }, duration);
+        });
+        
+        // Sampled continuously, reset on every scrape. Samples include the
+        // sampling interval itself, which is not lag
+        const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+        eventLoopDelay.enable();
+        
+        registry.addCollector(() => {
+            metrics.sockets.set({}, this.io.engine.clientsCount);
+            metrics.players.set({}, this.playerManager.getPlayerCount());
+            
+            this.roomManager.getRooms().forEach(room => {
+                metrics.liability.set({ room: room.id }, room.engine.getExposure().liability);
+            });
+            
+            [0.5, 0.9, 0.99].forEach(quantile => {
+                const delay = eventLoopDelay.percentile(quantile * 100) / 1e9 - EVENT_LOOP_RESOLUTION / 1000;
+                metrics.eventLoopLag.set({ quantile }, Math.max(delay, 0));
+            });
+            eventLoopDelay.reset();
+        });
+        
+        this.metrics = metrics;
+    }
+    
     setupSocketHandlers() {
+        // Refuse connections from banned addresses before doing any work
+        this.io.use((socket, next) => {
+            const banTime = this.rateLimiter.getBanTime([this.getAddressKey(socket)]);
+            next(banTime > 0 ? this.createBanError(banTime) : undefined);
+        });
+        
+        // Resolve the session token sent in the handshake to a stable player id
+        this.io.use(async (socket, next) => {
+            try {
+                const playerId = this.accountManager.verifyToken(socket.handshake.auth?.token);
+                if (playerId) {
+                    const profile = await this.repository.getPlayer(playerId);
+                    
+                    if (this.isBanned(profile)) {
+                        const error = new Error('Account banned');
+                        error.data = { code: 'account_banned', reason: profile.ban.reason, until: profile.ban.until };
+                        return next(error);
+                    }
+                    
+                    if (profile) {
+                        socket.data.playerId = playerId;
+                        socket.data.profile = profile;
+                    }
+                }
+                next();
+            } catch (error) {
+                this.getSocketLogger(socket).error('Error resolving session', { error });
+                next();
+            }
+        });
+        
+        // A known player stays banned when switching addresses
+        this.io.use((socket, next) => {
+            const banTime = socket.data.playerId ? this.rateLimiter.getBanTime([`player:${socket.data.playerId}`]) : 0;
+            next(banTime > 0 ? this.createBanError(banTime) : undefined);
+        });
+        
+        // Forget idle rate limit buckets and expired bans
+        this.rateLimitPruneInterval = setInterval(() => {
+            this.rateLimiter.prune();
+        }, 60000);
+        this.rateLimitPruneInterval.unref();
+        
         this.io.on('connection', (socket) => {
-            console.log(`✅ Player connected: ${socket.id}`);
+            this.getSocketLogger(socket).info('✅ Socket connected');
             
-            // Add player
-            this.playerManager.addPlayer(socket.id, socket);
+            // Every inbound event goes through the rate limiter first
+            socket.use(([event], next) => {
+                if (this.allowEvent(socket, event)) next();
+            });
+            
+            if (this.maintenance) {
+                socket.emit('maintenance', { active: true, ...this.maintenance });
+            }
+            
+            // Land in the room the client was in, or the default one
+            const room = this.roomManager.getRoom(socket.handshake.auth?.roomId) || this.roomManager.getDefaultRoom();
+            this.joinRoom(socket, room);
             
-            // Send current game state
-            const gameState = this.gameEngine.getCurrentState();
-            socket.emit('game_state', gameState);
+            // Resume a known player right away
+            if (socket.data.playerId) {
+                this.resumeSession(socket);
+            }
+            
+            // Handle room changes
+            this.handle(socket, 'join_room', (data) => {
+                const target = this.roomManager.getRoom(data.roomId);
+                if (!target) {
+                    this.emitError(socket, 'room_not_found', 'Room not found');
+                    return;
+                }
+                
+                if (target.id === socket.data.roomId) return;
+                
+                if (!this.leaveRoom(socket)) return;
+                this.joinRoom(socket, target);
+            });
             
-            // Send game history
-            const history = this.gameEngine.getHistory();
-            socket.emit('game_history', { history });
+            this.handle(socket, 'leave_room', () => {
+                const roomId = socket.data.roomId;
+                
+                if (roomId && this.leaveRoom(socket)) {
+                    socket.emit('room_left', { roomId });
+                }
+            });
             
             // Handle join game
-            socket.on('join_game', (data) => {
+            this.handle(socket, 'join_game', async (data) => {
                 try {
-                    const player = this.playerManager.getPlayer(socket.id);
+                    const requestedName = data.playerName || '';
+                    
+                    // First visit: create a guest account and hand out a session token
+                    if (!socket.data.playerId) {
+                        const profile = await this.accountManager.createGuest(requestedName || null);
+                        socket.data.playerId = profile.id;
+                        this.playerManager.addPlayer(profile.id, socket, profile);
+                    }
+                    
+                    const playerId = socket.data.playerId;
+                    const player = this.playerManager.getPlayer(playerId);
                     if (player) {
-                        player.name = data.playerName || `Player${socket.id.substr(0, 4)}`;
+                        // Registered players keep their username
+                        if (player.guest) {
+                            player.name = requestedName || player.name || `Player${playerId.substr(2, 4)}`;
+                        }
                         player.joinedAt = Date.now();
+                        this.savePlayerProfile(playerId);
                         
-                        console.log(`🎮 Player ${player.name} joined the game`);
+                        this.getSocketLogger(socket).info(`🎮 Player ${player.name} joined the game`);
                         
-                        // Notify other players
-                        socket.broadcast.emit('player_joined', {
-                            playerId: socket.id,
-                            playerName: player.name
+                        socket.emit('session', {
+                            token: this.accountManager.issueToken(playerId),
+                            playerId: playerId,
+                            name: player.name,
+                            guest: player.guest
+                        });
+                        
+                        socket.emit('balance_update', {
+                            balance: this.playerManager.getBalance(playerId)
                         });
+                        
+                        // Notify the other players of the room
+                        const room = this.roomManager.getRoom(socket.data.roomId);
+                        if (room) {
+                            this.broadcastToRoom(room, playerId, 'player_joined', {
+                                playerId: playerId,
+                                playerName: player.name
+                            });
+                        }
                     }
                 } catch (error) {
-                    console.error('Error handling join game:', error);
-                    socket.emit('error', { message: 'Failed to join game' });
+                    this.getSocketLogger(socket).error('Error handling join game', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to join game');
                 }
             });
             
-            // Handle place bet
-            socket.on('place_bet', (data) => {
+            // Subscribe to a leaderboard, updates follow as rounds finish
+            this.handle(socket, 'get_leaderboard', async ({ period, metric }) => {
                 try {
-                    const { amount, autoCashOut } = data;
-                    
-                    // Validate bet
-                    if (!this.isValidBet(amount)) {
-                        socket.emit('error', { message: 'Invalid bet amount' });
+                    socket.data.leaderboard = { period, metric };
+                    socket.emit('leaderboard_update', await this.leaderboard.getBoard(period, metric, socket.data.playerId));
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error loading leaderboard', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to load leaderboard');
+                }
+            });
+            
+            // Handle account registration (guest -> username/password)
+            this.handle(socket, 'register', async (data) => {
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        this.emitError(socket, 'not_joined', 'Join the game first');
                         return;
                     }
                     
-                    // Check if game accepts bets
-                    if (!this.gameEngine.canPlaceBet()) {
-                        socket.emit('error', { message: 'Cannot place bet at this time' });
+                    const result = await this.accountManager.register(playerId, data.username, data.password);
+                    if (!result.success) {
+                        this.emitError(socket, result.code, result.error);
                         return;
                     }
                     
-                    // Place bet
-                    const success = this.gameEngine.placeBet(socket.id, amount, autoCashOut);
-                    
-                    if (success) {
-                        const player = this.playerManager.getPlayer(socket.id);
-                        if (player) {
-                            player.currentBet = amount;
-                            player.autoCashOut = autoCashOut;
-                            player.isPlaying = true;
-                        }
-                        
-                        console.log(`💰 Player ${socket.id} placed bet: R$ ${amount}`);
-                        
-                        // Notify other players
-                        this.io.emit('player_bet', {
-                            playerId: socket.id,
-                            playerName: player?.name || 'Anonymous',
-                            amount: amount
-                        });
-                    } else {
-                        socket.emit('error', { message: 'Failed to place bet' });
+                    const player = this.playerManager.getPlayer(playerId);
+                    if (player) {
+                        player.name = result.username;
+                        player.guest = false;
                     }
+                    
+                    this.playerManager.broadcastToPlayer(playerId, 'account_updated', {
+                        playerId: playerId,
+                        name: result.username,
+                        guest: false
+                    });
                 } catch (error) {
-                    console.error('Error handling place bet:', error);
-                    socket.emit('error', { message: 'Failed to place bet' });
+                    this.getSocketLogger(socket).error('Error handling register', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to register');
                 }
             });
             
-            // Handle cash out
-            socket.on('cash_out', (data) => {
+            // Handle login, the client reconnects with the returned token
+            this.handle(socket, 'login', async (data) => {
                 try {
-                    const result = this.gameEngine.cashOut(socket.id);
-                    
-                    if (result.success) {
-                        const player = this.playerManager.getPlayer(socket.id);
-                        if (player) {
-                            player.isPlaying = false;
-                            player.balance += result.winAmount;
-                            player.totalWinnings += result.winAmount;
-                            player.gamesPlayed++;
-                        }
-                        
-                        console.log(`💸 Player ${socket.id} cashed out: ${result.multiplier.toFixed(2)}x = R$ ${result.winAmount.toFixed(2)}`);
-                        
-                        // Notify player
-                        socket.emit('player_cashed_out', {
-                            success: true,
-                            multiplier: result.multiplier,
-                            amount: result.winAmount,
-                            isCurrentPlayer: true
-                        });
-                        
-                        // Notify other players
-                        socket.broadcast.emit('player_cashed_out', {
-                            playerId: socket.id,
-                            playerName: player?.name || 'Anonymous',
-                            multiplier: result.multiplier,
-                            amount: result.winAmount,
-                            isCurrentPlayer: false
-                        });
-                    } else {
-                        socket.emit('error', { message: result.error || 'Failed to cash out' });
+                    const result = await this.accountManager.login(data.username, data.password);
+                    if (!result.success) {
+                        this.emitError(socket, result.code, result.error);
+                        return;
                     }
+                    
+                    this.getSocketLogger(socket).info(`🔑 Player ${result.username} logged in`, { accountId: result.playerId });
+                    
+                    socket.emit('session', {
+                        token: result.token,
+                        playerId: result.playerId,
+                        name: result.username,
+                        guest: false,
+                        reconnect: result.playerId !== socket.data.playerId
+                    });
                 } catch (error) {
-                    console.error('Error handling cash out:', error);
-                    socket.emit('error', { message: 'Failed to cash out' });
+                    this.getSocketLogger(socket).error('Error handling login', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to log in');
                 }
             });
             
-            // Handle disconnect
-            socket.on('disconnect', (reason) => {
-                console.log(`❌ Player disconnected: ${socket.id} (${reason})`);
+            // Handle place bet
+            this.handle(socket, 'place_bet', (data) => {
+                const { amount, autoCashOut, slot } = data;
                 
-                // Remove from active game if playing
-                this.gameEngine.removePlayer(socket.id);
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        this.emitError(socket, 'not_joined', 'Join the game first', { slot });
+                        return;
+                    }
+                    
+                    const room = this.roomManager.getRoom(socket.data.roomId);
+                    if (!room) {
+                        this.emitError(socket, 'no_room', 'Join a room first', { slot });
+                        return;
+                    }
+                    
+                    const result = this.placeBet(playerId, room, amount, autoCashOut, slot, this.getSocketLogger(socket));
+                    
+                    if (!result.success) {
+                        this.emitError(socket, result.code, result.error, { slot });
+                    }
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error handling place bet', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to place bet', { slot });
+                }
+            });
+            
+            // Handle cash out
+            this.handle(socket, 'cash_out', (data, receivedAt) => {
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        this.emitError(socket, 'not_joined', 'Join the game first');
+                        return;
+                    }
+                    
+                    const room = this.roomManager.getRoom(socket.data.roomId);
+                    if (!room) {
+                        this.emitError(socket, 'no_room', 'Join a room first');
+                        return;
+                    }
+                    
+                    const result = room.engine.cashOut(playerId, data.betId, receivedAt, data.fraction);
+                    
+                    if (result.success) {
+                        const player = this.playerManager.getPlayer(playerId);
+                        // Journal first: recovery pays a journaled cash out the ledger lacks
+                        this.journal.betCashedOut(room.id, room.engine.gameId, result.betId, result.betAmount, result.multiplier, result.winAmount);
+                        this.playerManager.cashOut(playerId, result.winAmount, room.engine.gameId, result.betAmount, result.betId);
+                        
+                        this.getSocketLogger(socket).info(`💸 Cashed out at ${result.multiplier.toFixed(2)}x: R$ ${result.winAmount.toFixed(2)}`, {
+                            roomId: room.id,
+                            gameId: room.engine.gameId,
+                            betId: result.betId,
+                            slot: result.slot,
+                            stake: result.betAmount,
+                            remaining: result.remaining
+                        });
+                        
+                        // Notify every connection of this player
+                        this.playerManager.broadcastToPlayer(playerId, 'player_cashed_out', {
+                            success: true,
+                            betId: result.betId,
+                            slot: result.slot,
+                            multiplier: result.multiplier,
+                            amount: result.winAmount,
+                            stake: result.betAmount,
+                            remaining: result.remaining,
+                            partial: result.partial,
+                            isCurrentPlayer: true
+                        });
+                        
+                        // Notify other players
+                        this.broadcastToRoom(room, playerId, 'player_cashed_out', {
+                            playerId: playerId,
+                            playerName: player?.name || 'Anonymous',
+                            betId: result.betId,
+                            slot: result.slot,
+                            multiplier: result.multiplier,
+                            amount: result.winAmount,
+                            stake: result.betAmount,
+                            remaining: result.remaining,
+                            partial: result.partial,
+                            isCurrentPlayer: false
+                        });
+                        
+                        this.announceBigWin(room, player, result.multiplier, result.winAmount);
+                    } else {
+                        this.emitError(socket, result.code, result.error);
+                    }
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error handling cash out', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to cash out');
+                }
+            });
+            
+            // Take a bet back before takeoff
+            this.handle(socket, 'cancel_bet', (data) => {
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        this.emitError(socket, 'not_joined', 'Join the game first');
+                        return;
+                    }
+                    
+                    const room = this.roomManager.getRoom(socket.data.roomId);
+                    if (!room) {
+                        this.emitError(socket, 'no_room', 'Join a room first');
+                        return;
+                    }
+                    
+                    const result = room.engine.cancelBet(playerId, data.betId);
+                    
+                    if (!result.success) {
+                        this.emitError(socket, result.code, result.error);
+                        return;
+                    }
+                    
+                    this.refundBet(playerId, { ...result, roomId: room.id }, 'bet_cancelled');
+                    
+                    // A cancelled auto bet sits this round out
+                    const strategy = this.autoBets.get(playerId);
+                    if (strategy?.betId === result.betId) {
+                        strategy.betId = null;
+                        this.sendAutoBetStatus(strategy);
+                    }
+                    
+                    this.getSocketLogger(socket).info(`↩️ Bet cancelled: R$ ${result.betAmount}`, {
+                        roomId: room.id,
+                        gameId: result.roundId,
+                        betId: result.betId,
+                        slot: result.slot
+                    });
+                    
+                    // Every connection of this player frees the slot
+                    this.playerManager.broadcastToPlayer(playerId, 'bet_cancelled', {
+                        betId: result.betId,
+                        roundId: result.roundId,
+                        slot: result.slot,
+                        amount: result.betAmount
+                    });
+                    
+                    // Notify other players
+                    this.broadcastToRoom(room, playerId, 'player_bet_cancelled', {
+                        playerId: playerId,
+                        betId: result.betId,
+                        slot: result.slot
+                    });
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error handling cancel bet', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to cancel bet');
+                }
+            });
+            
+            // Server side auto-bet, see AutoBetManager
+            this.handle(socket, 'start_auto_bet', (data) => {
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        this.emitError(socket, 'not_joined', 'Join the game first');
+                        return;
+                    }
+                    
+                    const room = this.roomManager.getRoom(socket.data.roomId);
+                    if (!room) {
+                        this.emitError(socket, 'no_room', 'Join a room first');
+                        return;
+                    }
+                    
+                    if (this.autoBets.get(playerId)) {
+                        this.emitError(socket, 'auto_bet_active', 'Auto bet is already running');
+                        return;
+                    }
+                    
+                    if (!this.isValidBet(data.baseBet, room.limits)) {
+                        this.emitError(socket, 'invalid_bet_amount', 'Invalid bet amount');
+                        return;
+                    }
+                    
+                    if (!paysTarget(data.autoCashOut, room.engine.getMaxMultiplier())) {
+                        this.emitError(socket, 'invalid_auto_cash_out', 'Auto cash out must be below the max multiplier');
+                        return;
+                    }
+                    
+                    // Multiplying by zero would end the strategy on the next round
+                    if ((data.onWin === 'multiply' && data.onWinValue === 0) ||
+                        (data.onLoss === 'multiply' && data.onLossValue === 0)) {
+                        this.emitError(socket, 'invalid_auto_bet', 'Multiply adjustments need a value above zero');
+                        return;
+                    }
+                    
+                    const strategy = this.autoBets.start(playerId, room.id, data);
+                    
+                    this.getSocketLogger(socket).info('🤖 Auto bet started', { roomId: room.id, ...data });
+                    this.sendAutoBetStatus(strategy);
+                    
+                    // Join the round that is taking bets right now
+                    if (room.engine.canPlaceBet()) {
+                        this.placeAutoBet(strategy, room);
+                    }
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error handling start auto bet', { error });
+                    this.emitError(socket, 'internal_error', 'Failed to start auto bet');
+                }
+            });
+            
+            // Player seed for the client seed of the room's next seed chain.
+            // Only registered accounts take part: guests and bare sockets
+            // cost nothing, so they could be used to fill every slot
+            this.handle(socket, 'contribute_seed', (data) => {
+                const room = this.roomManager.getRoom(socket.data.roomId);
+                if (!room) {
+                    this.emitError(socket, 'no_room', 'Join a room first');
+                    return;
+                }
+                
+                const player = this.playerManager.getPlayer(socket.data.playerId);
+                if (!player || player.guest) {
+                    this.emitError(socket, 'account_required', 'Register an account to contribute seeds');
+                    return;
+                }
+                
+                const result = room.engine.contributeSeed(player.id, data.seed);
                 
-                // Remove player
-                this.playerManager.removePlayer(socket.id);
+                if (!result.success) {
+                    this.emitError(socket, result.code, result.error);
+                    return;
+                }
                 
-                // Notify other players
-                socket.broadcast.emit('player_left', {
-                    playerId: socket.id
+                socket.emit('seed_contributed', {
+                    roomId: room.id,
+                    terminatingHash: result.terminatingHash,
+                    seed: data.seed
                 });
             });
             
+            this.handle(socket, 'stop_auto_bet', () => {
+                const playerId = socket.data.playerId;
+                
+                if (!playerId || !this.autoBets.get(playerId)) {
+                    this.emitError(socket, 'auto_bet_not_running', 'Auto bet is not running');
+                    return;
+                }
+                
+                this.stopAutoBet(playerId, AutoBetManager.STOP_REASONS.STOPPED);
+            });
+            
+            // Handle chat messages and moderator commands
+            this.handle(socket, 'chat_message', async (data) => {
+                try {
+                    const playerId = socket.data.playerId;
+                    if (!playerId) {
+                        socket.emit('chat_error', { code: 'not_joined', message: 'Join the game first' });
+                        return;
+                    }
+                    
+                    const room = this.roomManager.getRoom(socket.data.roomId);
+                    if (!room) {
+                        socket.emit('chat_error', { code: 'no_room', message: 'Join a room first' });
+                        return;
+                    }
+                    
+                    const player = this.playerManager.getPlayer(playerId);
+                    const result = await this.chatManager.sendMessage(room.id, {
+                        playerId: playerId,
+                        playerName: player?.name || 'Anonymous'
+                    }, data.text);
+                    
+                    if (!result.success) {
+                        socket.emit('chat_error', { code: result.code, message: result.error });
+                        return;
+                    }
+                    
+                    this.io.to(room.channel).emit('chat_message', result.message);
+                } catch (error) {
+                    this.getSocketLogger(socket).error('Error handling chat message', { error });
+                    socket.emit('chat_error', { code: 'internal_error', message: 'Failed to send message' });
+                }
+            }, 'chat_error');
+            
+            // Handle disconnect
+            socket.on('disconnect', (reason) => {
+                const playerId = socket.data.playerId;
+                this.getSocketLogger(socket).info('❌ Socket disconnected', { reason });
+                
+                this.rateLimiter.forget(`socket:${socket.id}`);
+                
+                if (!playerId) return;
+                
+                // Other tabs of the same player keep the session alive
+                if (!this.playerManager.removeSocket(playerId, socket)) return;
+                
+                this.scheduleRelease(playerId, socket.data.roomId);
+            });
+            
             // Handle errors
             socket.on('error', (error) => {
-                console.error(`Socket error from ${socket.id}:`, error);
+                this.getSocketLogger(socket).error('Socket error', { error });
             });
         });
         
-        // Game engine events
-        this.gameEngine.on('game_state_changed', (gameState) => {
-            this.io.emit('game_state', gameState);
+        // Game engine events, each room broadcasts to its own channel
+        this.roomManager.on('game_state_changed', (gameState, room) => {
+            this.io.to(room.channel).emit('game_state', gameState);
+        });
+        
+        this.roomManager.on('seed_chain', (chain, room) => {
+            this.io.to(room.channel).emit('seed_chains', { roomId: room.id, ...room.engine.getSeedChains() });
         });
         
-        this.gameEngine.on('player_auto_cashed_out', (data) => {
+        this.roomManager.on('player_auto_cashed_out', (data, room) => {
             const player = this.playerManager.getPlayer(data.playerId);
-            if (player) {
-                player.isPlaying = false;
-                player.balance += data.winAmount;
-                player.totalWinnings += data.winAmount;
-                player.gamesPlayed++;
-            }
+            this.journal.betCashedOut(room.id, room.engine.gameId, data.betId, data.betAmount, data.multiplier, data.winAmount);
+            this.playerManager.cashOut(data.playerId, data.winAmount, room.engine.gameId, data.betAmount, data.betId);
             
-            // Notify all players
-            this.io.emit('player_cashed_out', {
+            // Notify other players
+            this.broadcastToRoom(room, data.playerId, 'player_cashed_out', {
                 playerId: data.playerId,
                 playerName: player?.name || 'Anonymous',
+                betId: data.betId,
+                slot: data.slot,
                 multiplier: data.multiplier,
                 amount: data.winAmount,
+                stake: data.betAmount,
+                remaining: data.remaining,
+                partial: data.partial,
                 isAuto: true,
                 isCurrentPlayer: false
             });
             
             // Notify specific player
-            const socket = this.playerManager.getPlayerSocket(data.playerId);
-            if (socket) {
-                socket.emit('player_cashed_out', {
-                    ...data,
-                    isCurrentPlayer: true
+            this.playerManager.broadcastToPlayer(data.playerId, 'player_cashed_out', {
+                ...data,
+                amount: data.winAmount,
+                stake: data.betAmount,
+                isCurrentPlayer: true
+            });
+            
+            this.announceBigWin(room, player, data.multiplier, data.winAmount);
+        });
+    }
+    
+    // System chat message for cash-outs above CHAT_BIG_WIN_MULTIPLIER
+    announceBigWin(room, player, multiplier, winAmount) {
+        if (multiplier < this.config.chat.bigWinMultiplier) return;
+        
+        const message = this.chatManager.systemMessage(room.id, 'big_win', {
+            playerName: player?.name || 'Anonymous',
+            multiplier: multiplier,
+            amount: winAmount
+        });
+        
+        this.io.to(room.channel).emit('chat_message', message);
+    }
+    
+    getAddressKey(socket) {
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        const address = this.config.trustProxy && forwarded
+            ? forwarded.split(',')[0].trim()
+            : socket.handshake.address;
+        
+        return `ip:${address}`;
+    }
+    
+    // Players are limited across all their sockets, anonymous sockets per address
+    getClientKey(socket) {
+        return socket.data.playerId ? `player:${socket.data.playerId}` : this.getAddressKey(socket);
+    }
+    
+    isBanned(profile) {
+        const ban = profile?.ban;
+        return Boolean(ban) && (ban.until === null || ban.until > Date.now());
+    }
+    
+    createBanError(banTime) {
+        const error = new Error('Too many requests, temporarily banned');
+        error.data = { code: 'banned', retryAfter: Math.ceil(banTime / 1000) };
+        return error;
+    }
+    
+    // Drops the event when over the limit; repeat offenders are disconnected and banned
+    allowEvent(socket, event) {
+        // Packets still queued from a socket that was just banned
+        if (!socket.connected) return false;
+        
+        const clientKey = this.getClientKey(socket);
+        
+        if (this.rateLimiter.consume([`socket:${socket.id}`, clientKey], event)) {
+            socket.data.throttled = false;
+            return true;
+        }
+        
+        // One notice per burst, not one per dropped event
+        if (!socket.data.throttled) {
+            socket.data.throttled = true;
+            this.emitError(socket, 'rate_limited', 'Too many requests', { event });
+        }
+        
+        if (this.rateLimiter.addStrike(clientKey)) {
+            const keys = Array.from(new Set([clientKey, this.getAddressKey(socket)]));
+            this.rateLimiter.ban(keys);
+            
+            this.getSocketLogger(socket).warn(`🚫 Banned for ${this.config.rateLimit.banTime}ms after flooding ${event}`, { keys });
+            
+            this.emitError(socket, 'banned', 'Too many requests, temporarily banned', {
+                retryAfter: Math.ceil(this.config.rateLimit.banTime / 1000)
+            });
+            socket.disconnect(true);
+        }
+        
+        return false;
+    }
+    
+    // Validate the payload against its schema before the handler sees it
+    handle(socket, event, handler, errorEvent = 'error') {
+        socket.on(event, (data) => {
+            // Cash outs are priced at the moment the server got the request
+            const receivedAt = Date.now();
+            const result = validatePayload(event, data);
+            
+            if (!result.valid) {
+                socket.emit(errorEvent, {
+                    code: 'invalid_payload',
+                    message: result.error,
+                    event: event,
+                    field: result.field,
+                    // Lets the client unlock the right bet panel
+                    ...(Number.isInteger(data?.slot) ? { slot: data.slot } : {})
+                });
+                return;
+            }
+            
+            const stopTimer = this.metrics.eventDuration.startTimer({ event });
+            Promise.resolve(handler(result.value, receivedAt)).finally(stopTimer);
+        });
+    }
+    
+    // Lines about a connection carry its socket and player ids
+    getSocketLogger(socket) {
+        return socketLogger.child({ socketId: socket.id, playerId: socket.data.playerId });
+    }
+    
+    // Every socket error carries a machine-readable code next to the message
+    emitError(socket, code, message, extra = {}) {
+        socket.emit('error', { code, message, ...extra });
+    }
+    
+    // Emit to a room, skipping the sockets of the player the event is about
+    broadcastToRoom(room, playerId, event, data) {
+        const own = this.playerManager.getPlayerSockets(playerId).map(socket => socket.id);
+        this.io.to(room.channel).except(own).emit(event, data);
+    }
+    
+    joinRoom(socket, room) {
+        socket.join(room.channel);
+        socket.data.roomId = room.id;
+        
+        socket.emit('room_joined', {
+            roomId: room.id,
+            name: room.name,
+            limits: room.limits
+        });
+        
+        // Send current game state
+        socket.emit('game_state', room.engine.getCurrentState());
+        
+        // Send game history
+        socket.emit('game_history', { history: room.engine.getHistory() });
+        
+        // Everyone already in the round
+        socket.emit('round_roster', this.getRoundRoster(room));
+        
+        socket.emit('chat_history', {
+            roomId: room.id,
+            messages: this.chatManager.getHistory(room.id)
+        });
+        
+        socket.emit('seed_chains', { roomId: room.id, ...room.engine.getSeedChains() });
+    }
+    
+    getRoundRoster(room) {
+        return {
+            roomId: room.id,
+            roundId: room.engine.gameId,
+            bets: room.engine.getRoundBets().map(bet => ({
+                betId: bet.betId,
+                playerId: bet.playerId,
+                playerName: this.playerManager.getPlayer(bet.playerId)?.name || 'Anonymous',
+                slot: bet.slot,
+                amount: bet.amount,
+                remaining: bet.remaining,
+                cashOuts: bet.cashOuts,
+                cashOutMultiplier: bet.cashOutMultiplier,
+                payout: bet.winAmount
+            }))
+        };
+    }
+    
+    // Debits the stake and puts the bet in the round of `room`. Used by
+    // place_bet and by auto-bet strategies; returns { success, betId } or
+    // { success: false, code, error }
+    placeBet(playerId, room, amount, autoCashOut, slot, log) {
+        // Validate bet against the room limits
+        if (!this.isValidBet(amount, room.limits)) {
+            return { success: false, code: 'invalid_bet_amount', error: 'Invalid bet amount' };
+        }
+        
+        // Check if game accepts this bet
+        const rejection = room.engine.validateBet(playerId, amount, autoCashOut, slot);
+        if (rejection) {
+            return { success: false, ...rejection };
+        }
+        
+        // Journal first, then debit the stake, then let the engine accept the
+        // bet. Recovery only refunds a journaled bet the ledger has a debit for
+        const roundId = room.engine.gameId;
+        const betId = crypto.randomUUID();
+        
+        this.journal.betPlaced(room.id, roundId, {
+            betId: betId,
+            playerId: playerId,
+            slot: slot,
+            amount: amount,
+            autoCashOut: autoCashOut,
+            placedAt: Date.now()
+        });
+        
+        const debit = this.playerManager.placeBet(playerId, amount, roundId, autoCashOut, betId);
+        
+        if (!debit.success) {
+            this.journal.betRefunded(room.id, roundId, betId);
+            return debit;
+        }
+        
+        if (!room.engine.placeBet(playerId, amount, autoCashOut, slot, betId)) {
+            this.playerManager.refundBet(playerId, amount, roundId, 'bet_rejected');
+            this.journal.betRefunded(room.id, roundId, betId);
+            return { success: false, code: 'bet_rejected', error: 'Failed to place bet' };
+        }
+        
+        const player = this.playerManager.getPlayer(playerId);
+        
+        log.info(`💰 Bet placed: R$ ${amount}`, {
+            roomId: room.id,
+            gameId: roundId,
+            betId: betId,
+            slot: slot
+        });
+        
+        // The bet id is needed to cash this bet out
+        this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+            betId: betId,
+            roundId: roundId,
+            roomId: room.id,
+            slot: slot,
+            amount: amount,
+            autoCashOut: autoCashOut
+        });
+        
+        // Notify the room
+        this.io.to(room.channel).emit('player_bet', {
+            playerId: playerId,
+            playerName: player?.name || 'Anonymous',
+            betId: betId,
+            slot: slot,
+            amount: amount
+        });
+        
+        return { success: true, betId };
+    }
+    
+    // Bets stay with the room, so players can't leave while they have one
+    leaveRoom(socket) {
+        const room = this.roomManager.getRoom(socket.data.roomId);
+        if (!room) return true;
+        
+        const playerId = socket.data.playerId;
+        if (playerId && room.engine.getActiveBets(playerId).length > 0) {
+            this.emitError(socket, 'room_locked', 'Finish your bets before leaving the room');
+            return false;
+        }
+        
+        if (playerId && this.autoBets.get(playerId)?.roomId === room.id) {
+            this.emitError(socket, 'room_locked', 'Stop auto bet before leaving the room');
+            return false;
+        }
+        
+        socket.leave(room.channel);
+        socket.data.roomId = null;
+        
+        return true;
+    }
+    
+    setupWalletHandlers() {
+        // Every ledger entry is pushed to its owner
+        this.wallet.on('entry', (entry) => {
+            this.playerManager.broadcastToPlayer(entry.playerId, 'balance_update', {
+                balance: entry.balanceAfter,
+                amount: entry.amount,
+                type: entry.type,
+                reason: entry.reason,
+                roundId: entry.roundId
+            });
+        });
+        
+        this.wallet.on('drift', (report) => {
+            logger.error('⚠️ Wallet drift detected', report);
+        });
+        
+        this.roomManager.on('round_finished', ({ bets }) => {
+            // One reset per player, a single lost bet breaks the streak
+            const players = new Map();
+            bets.forEach(bet => {
+                players.set(bet.playerId, players.get(bet.playerId) || bet.outcome === 'lost');
+            });
+            players.forEach((lostBet, playerId) => this.playerManager.resetPlayerGame(playerId, lostBet));
+        });
+        
+        // Periodic reconciliation of cached balances against the stored ledger
+        this.reconcileInterval = setInterval(() => {
+            this.wallet.reconcile(this.repository).catch(error => {
+                logger.error('⚠️ Wallet reconciliation failed', { error });
+            });
+        }, 60000);
+        this.reconcileInterval.unref();
+    }
+    
+    setupStorageHandlers() {
+        this.wallet.on('entry', (entry) => {
+            this.repository.appendLedgerEntry(entry);
+        });
+        
+        this.roomManager.on('seed_chain', (chain, room) => {
+            this.repository.saveSeedChain({ ...chain, roomId: room.id });
+        });
+        
+        this.roomManager.on('fairness_state', (state, room) => {
+            this.repository.saveFairnessState(room.id, state);
+        });
+        
+        this.roomManager.on('round_finished', ({ round, bets }) => {
+            this.repository.saveRound(round);
+            this.repository.saveBets(bets);
+            this.journal.roundFinished(round.roomId, round.id);
+            
+            bets.forEach(bet => this.savePlayerProfile(bet.playerId));
+        });
+        
+        this.roomManager.on('round_aborted', ({ gameId, reason, bets }, room) => {
+            this.settleAbortedRound(room.id, gameId, bets);
+            
+            this.io.to(room.channel).emit('round_aborted', {
+                gameId: gameId,
+                reason: reason
+            });
+        });
+    }
+    
+    // Pays back the stakes still riding in a round that never crashed, cash
+    // outs were already paid and are only stored. `ledger` holds the stored
+    // ledger entries of the round when it is settled on recovery
+    settleAbortedRound(roomId, gameId, bets, ledger = []) {
+        const paid = new Map(); // playerId -> abort refunds already in the ledger
+        
+        bets
+            .filter(bet => bet.outcome === 'refunded')
+            .forEach(bet => {
+                // A crash halfway through a recovery leaves some refunds in
+                // the ledger without the closing journal entry
+                if (!paid.has(bet.playerId)) {
+                    paid.set(bet.playerId, ledger
+                        .filter(entry => entry.playerId === bet.playerId && entry.reason === ABORT_REFUND_REASON)
+                        .length);
+                }
+                
+                const alreadyPaid = paid.get(bet.playerId);
+                if (alreadyPaid > 0) {
+                    paid.set(bet.playerId, alreadyPaid - 1);
+                    return;
+                }
+                
+                this.playerManager.refundBet(bet.playerId, getRefundableStake(bet), gameId, ABORT_REFUND_REASON);
+            });
+        
+        this.repository.saveBets(bets);
+        this.journal.roundAborted(roomId, gameId);
+        
+        bets.forEach(bet => {
+            if (!this.playerManager.isConnected(bet.playerId)) {
+                this.recordMissedOutcome(bet);
+            }
+            
+            this.savePlayerProfile(bet.playerId);
+        });
+    }
+    
+    setupLeaderboardHandlers() {
+        this.leaderboardPushTimeout = null;
+        
+        // Rounds can finish in several rooms at once, push at most once per delay
+        this.roomManager.on('round_finished', () => {
+            this.leaderboard.invalidate();
+            
+            if (this.leaderboardPushTimeout) return;
+            
+            this.leaderboardPushTimeout = setTimeout(() => {
+                this.leaderboardPushTimeout = null;
+                this.pushLeaderboards().catch(error => {
+                    logger.error('Error pushing leaderboards', { error });
                 });
+            }, LEADERBOARD_PUSH_DELAY);
+        });
+    }
+    
+    // Send every subscribed socket its board, with its own rank
+    async pushLeaderboards() {
+        for (const socket of this.io.sockets.sockets.values()) {
+            const subscription = socket.data.leaderboard;
+            if (!subscription) continue;
+            
+            const board = await this.leaderboard.getBoard(subscription.period, subscription.metric, socket.data.playerId);
+            socket.emit('leaderboard_update', board);
+        }
+    }
+    
+    parseRoundsQuery(query) {
+        const limit = query.limit === undefined ? ROUNDS_PAGE_SIZE : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ROUNDS_PAGE_SIZE) {
+            return { error: `limit must be an integer between 1 and ${MAX_ROUNDS_PAGE_SIZE}` };
+        }
+        
+        const before = query.before === undefined ? null : Number(query.before);
+        if (before !== null && (!Number.isInteger(before) || before < 1)) {
+            return { error: 'before must be a round id' };
+        }
+        
+        const roomId = query.roomId === undefined ? null : String(query.roomId);
+        if (roomId !== null && !this.roomManager.getRoom(roomId)) {
+            return { error: 'Room not found' };
+        }
+        
+        return { limit, before, roomId };
+    }
+    
+    // Stored round plus its bets, with the name each player had at read time
+    async describeRound(round) {
+        const bets = await this.repository.getBetsByRound(round.id);
+        const names = new Map();
+        
+        for (const playerId of new Set(bets.map(bet => bet.playerId))) {
+            const profile = await this.repository.getPlayer(playerId);
+            names.set(playerId, profile?.username || profile?.name || null);
+        }
+        
+        return {
+            ...round,
+            // Rounds stored before houseProfit was recorded
+            houseProfit: round.houseProfit ?? Math.round((round.totalBets - round.totalPayouts) * 100) / 100,
+            seedChain: round.terminatingHash ? await this.repository.getSeedChain(round.terminatingHash) : null,
+            bets: bets
+                .sort((a, b) => a.placedAt - b.placedAt)
+                .map(bet => ({
+                    id: bet.id,
+                    playerId: bet.playerId,
+                    playerName: names.get(bet.playerId),
+                    slot: bet.slot,
+                    amount: bet.amount,
+                    autoCashOut: bet.autoCashOut ?? null,
+                    cashOutMultiplier: bet.cashOutMultiplier ?? null,
+                    payout: bet.payout || 0,
+                    cashOuts: bet.cashOuts || [],
+                    outcome: bet.outcome,
+                    placedAt: bet.placedAt
+                }))
+        };
+    }
+    
+    validateLeaderboardQuery(period, metric) {
+        if (!Leaderboard.isValidPeriod(period)) {
+            return { error: 'Invalid period', periods: Leaderboard.PERIODS };
+        }
+        
+        if (!Leaderboard.isValidMetric(metric)) {
+            return { error: 'Invalid metric', metrics: Leaderboard.METRICS };
+        }
+        
+        return null;
+    }
+    
+    setupSessionHandlers() {
+        this.releaseTimers = new Map(); // playerId -> grace timer
+        this.pendingReleases = new Map(); // playerId -> roomId, grace expired while a bet was flying
+        this.missedOutcomes = new Map(); // playerId -> bets settled while offline
+        
+        // Registered last so the wallet, storage and auto-bet handlers of the
+        // round still see the players it releases
+        this.roomManager.on('round_finished', ({ bets }) => {
+            bets
+                .filter(bet => !this.playerManager.isConnected(bet.playerId))
+                .forEach(bet => this.recordMissedOutcome(bet));
+            
+            const released = Array.from(this.pendingReleases);
+            this.pendingReleases.clear();
+            released.forEach(([playerId, roomId]) => this.releasePlayer(playerId, roomId));
+        });
+    }
+    
+    // Reattach a reconnecting player and hand back what happened meanwhile
+    resumeSession(socket) {
+        const playerId = socket.data.playerId;
+        
+        clearTimeout(this.releaseTimers.get(playerId));
+        this.releaseTimers.delete(playerId);
+        this.pendingReleases.delete(playerId);
+        
+        this.playerManager.addPlayer(playerId, socket, socket.data.profile);
+        
+        socket.emit('balance_update', {
+            balance: this.playerManager.getBalance(playerId)
+        });
+        
+        const bets = this.roomManager.getPlayerBets(playerId)
+            .filter(bet => bet.roomId === socket.data.roomId);
+        if (bets.length > 0) {
+            socket.emit('bet_state', { bets });
+        }
+        
+        const strategy = this.autoBets.get(playerId);
+        if (strategy) {
+            socket.emit('auto_bet_status', this.autoBets.describe(strategy));
+        }
+        
+        const missed = this.missedOutcomes.get(playerId);
+        if (missed) {
+            this.missedOutcomes.delete(playerId);
+            socket.emit('missed_outcomes', { bets: missed });
+        }
+    }
+    
+    setupAutoBetHandlers() {
+        // Every new round of a room gets the bets of its strategies
+        this.roomManager.on('game_state_changed', (data, room) => {
+            if (data.state !== 'waiting') return;
+            
+            this.autoBets.getRoomStrategies(room.id)
+                .forEach(strategy => this.placeAutoBet(strategy, room));
+        });
+        
+        this.roomManager.on('round_finished', ({ bets }) => {
+            bets.forEach(bet => {
+                const strategy = this.autoBets.get(bet.playerId);
+                if (strategy?.betId !== bet.id) return;
+                
+                const reason = this.autoBets.settle(strategy, bet);
+                
+                if (reason) {
+                    this.stopAutoBet(bet.playerId, reason);
+                } else {
+                    this.sendAutoBetStatus(strategy);
+                }
+            });
+        });
+        
+        // Refunded bets don't count as a round played
+        this.roomManager.on('round_aborted', ({ bets }) => {
+            bets.forEach(bet => {
+                const strategy = this.autoBets.get(bet.playerId);
+                if (strategy?.betId !== bet.id) return;
+                
+                strategy.betId = null;
+                this.sendAutoBetStatus(strategy);
+            });
+        });
+    }
+    
+    placeAutoBet(strategy, room) {
+        const { autoCashOut, slot } = strategy.settings;
+        const log = autoBetLogger.child({ playerId: strategy.playerId });
+        
+        const result = this.placeBet(strategy.playerId, room, strategy.nextBet, autoCashOut, slot, log);
+        
+        if (result.success) {
+            strategy.betId = result.betId;
+            this.sendAutoBetStatus(strategy);
+            return;
+        }
+        
+        // A manual bet holding the slot or a crowded round, try again next round
+        if (ROUND_SKIP_CODES.includes(result.code)) return;
+        
+        // Balance, room limits or risk limits: the strategy can't go on
+        this.stopAutoBet(strategy.playerId, result.code);
+    }
+    
+    stopAutoBet(playerId, reason) {
+        const strategy = this.autoBets.stop(playerId);
+        if (!strategy) return;
+        
+        autoBetLogger.info(`🤖 Auto bet stopped: ${reason}`, {
+            playerId: playerId,
+            roomId: strategy.roomId,
+            roundsPlayed: strategy.roundsPlayed,
+            profit: strategy.profit
+        });
+        
+        this.playerManager.broadcastToPlayer(playerId, 'auto_bet_status', this.autoBets.describe(strategy, reason));
+    }
+    
+    sendAutoBetStatus(strategy) {
+        this.playerManager.broadcastToPlayer(strategy.playerId, 'auto_bet_status', this.autoBets.describe(strategy));
+    }
+    
+    // Keep a disconnected player (and their bet) for the grace period.
+    // `roomId` is the room of the last socket, told when the player leaves
+    scheduleRelease(playerId, roomId) {
+        const graceTime = this.config.session.disconnectGrace;
+        
+        clearTimeout(this.releaseTimers.get(playerId));
+        
+        if (graceTime === 0) {
+            this.releasePlayer(playerId, roomId);
+            return;
+        }
+        
+        socketLogger.info(`⏳ Player disconnected, holding session for ${graceTime}ms`, { playerId });
+        
+        this.releaseTimers.set(playerId, setTimeout(() => {
+            this.releaseTimers.delete(playerId);
+            this.releasePlayer(playerId, roomId);
+        }, graceTime));
+    }
+    
+    releasePlayer(playerId, roomId) {
+        if (this.playerManager.isConnected(playerId)) return;
+        
+        // No new bets for a player who is gone
+        this.stopAutoBet(playerId, AutoBetManager.STOP_REASONS.PLAYER_LEFT);
+        
+        // A bet already in flight is settled by the round, release afterwards
+        if (this.roomManager.getPlayerBets(playerId).some(bet => bet.inFlight)) {
+            this.pendingReleases.set(playerId, roomId);
+            return;
+        }
+        
+        // Bets that never took off are refunded
+        this.roomManager.removePlayer(playerId)
+            .filter(bet => bet.refundable)
+            .forEach(bet => this.refundBet(playerId, bet, 'player_disconnected'));
+        
+        this.savePlayerProfile(playerId);
+        this.playerManager.removePlayer(playerId);
+        this.chatManager.removePlayer(playerId);
+        
+        // Notify the room the player was last in
+        const room = this.roomManager.getRoom(roomId);
+        if (room) {
+            this.io.to(room.channel).emit('player_left', {
+                playerId: playerId
+            });
+        }
+    }
+    
+    recordMissedOutcome(bet) {
+        const missed = this.missedOutcomes.get(bet.playerId) || [];
+        missed.push(bet);
+        
+        // Only the latest outcomes are worth showing
+        this.missedOutcomes.set(bet.playerId, missed.slice(-MAX_MISSED_OUTCOMES));
+    }
+    
+    // Rehydrate ledger, history and stats before accepting players
+    async loadState() {
+        await this.repository.init();
+        
+        this.wallet.load(await this.repository.getLedgerBalances());
+        await this.recoverRounds();
+        
+        const compacted = await this.journal.compact();
+        if (compacted > 0) {
+            logger.info(`🧹 Dropped ${compacted} journal entries of closed rounds`);
+        }
+        
+        await this.roomManager.rehydrate(this.repository, this.journal.lastGameId);
+        await this.wallet.reconcile(this.repository);
+    }
+    
+    // Rounds left open by a process that died mid-round: refund the bets
+    // still riding, players hear about it when they reconnect
+    async recoverRounds() {
+        for (const { roomId, gameId, bets } of await this.journal.load()) {
+            // The round was stored, only its closing entry was lost
+            if (await this.repository.getRound(gameId)) {
+                this.journal.roundFinished(roomId, gameId);
+                continue;
             }
+            
+            const ledger = await this.repository.getRoundLedgerEntries(gameId);
+            const debited = this.findDebitedBets(bets, ledger);
+            
+            logger.warn('♻️ Refunding unfinished round', {
+                roomId: roomId,
+                gameId: gameId,
+                refunded: debited.filter(bet => bet.outcome === 'refunded').length,
+                cashedOut: debited.filter(bet => bet.outcome === 'won').length,
+                neverDebited: bets.length - debited.length
+            });
+            
+            this.payJournaledCashOuts(gameId, debited, ledger);
+            this.settleAbortedRound(roomId, gameId, debited, ledger);
+        }
+    }
+    
+    // Bets are journaled before their stake is debited, so a crash in between
+    // leaves a journaled bet the ledger never took: there is nothing to refund
+    findDebitedBets(bets, ledger) {
+        return bets.filter(bet => {
+            const debits = ledger
+                .filter(entry => entry.playerId === bet.playerId && entry.type === Wallet.ENTRY_TYPES.BET);
+            
+            // Ledgers written before debits carried a betId were debited first
+            return debits.some(entry => entry.betId === bet.id || entry.betId == null);
         });
     }
     
-    isValidBet(amount) {
+    // Cash outs are journaled before they are paid, so a crash in between
+    // leaves the last cash outs of a bet without their payout in the ledger
+    payJournaledCashOuts(gameId, bets, ledger) {
+        bets.forEach(bet => {
+            const payouts = ledger
+                .filter(entry => entry.playerId === bet.playerId && entry.type === Wallet.ENTRY_TYPES.PAYOUT);
+            
+            // Ledgers written before payouts carried a betId were paid first
+            if (payouts.some(entry => entry.betId === undefined)) return;
+            
+            const credited = payouts.filter(entry => entry.betId === bet.id).length;
+            
+            bet.cashOuts
+                .filter(cashOut => cashOut.payout > 0)
+                .slice(credited)
+                .forEach(cashOut => {
+                    logger.warn('♻️ Paying journaled cash out', { gameId, betId: bet.id, payout: cashOut.payout });
+                    this.playerManager.cashOut(bet.playerId, cashOut.payout, gameId, 0, bet.id);
+                });
+        });
+    }
+    
+    savePlayerProfile(playerId) {
+        const profile = this.playerManager.getProfile(playerId);
+        if (profile) {
+            this.repository.savePlayer(profile);
+        }
+    }
+    
+    refundBet(playerId, bet, reason) {
+        this.playerManager.refundBet(playerId, bet.betAmount, bet.roundId, reason);
+        this.journal.betRefunded(bet.roomId, bet.roundId, bet.betId);
+        this.repository.saveBets([{
+            id: bet.betId,
+            roundId: bet.roundId,
+            roomId: bet.roomId,
+            playerId: playerId,
+            slot: bet.slot,
+            amount: bet.betAmount,
+            autoCashOut: bet.autoCashOut,
+            cashOutMultiplier: null,
+            payout: 0,
+            outcome: 'refunded',
+            placedAt: bet.placedAt
+        }]);
+    }
+    
+    isValidBet(amount, limits) {
         return typeof amount === 'number' && 
-               amount >= 1 && 
-               amount <= 10000 && 
+               amount >= limits.minBet && 
+               amount <= limits.maxBet && 
                Number.isFinite(amount);
     }
     
-    startServer() {
+    async startServer() {
+        await this.loadState();
+        
         this.server.listen(this.port, () => {
-            console.log(`🚀 Crash Rocket Server running on port ${this.port}`);
-            console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`🌐 CORS origin: ${process.env.CLIENT_URL || '*'}`);
+            logger.info(`🚀 Crash Rocket Server running on port ${this.port}`, {
+                environment: this.config.nodeEnv,
+                corsOrigin: this.config.clientUrl
+            });
         });
         
         // Start game engine
-        this.gameEngine.start();
+        this.roomManager.start();
         
         // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log('🛑 SIGTERM received, shutting down gracefully');
-            this.gameEngine.stop();
-            this.server.close(() => {
-                console.log('✅ Server closed');
-                process.exit(0);
-            });
-        });
+        process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+        process.on('SIGINT', () => this.shutdown('SIGINT'));
         
-        process.on('SIGINT', () => {
-            console.log('🛑 SIGINT received, shutting down gracefully');
-            this.gameEngine.stop();
-            this.server.close(() => {
-                console.log('✅ Server closed');
-                process.exit(0);
-            });
+        // Reload configuration between rounds
+        process.on('SIGHUP', () => {
+            logger.info('🔄 SIGHUP received, reloading configuration');
+            try {
+                this.reloadConfig();
+            } catch (error) {
+                if (!(error instanceof ConfigError)) throw error;
+                logger.error('⚠️ Configuration reload rejected, keeping current settings', { errors: error.errors });
+            }
         });
         
-        // Error handling
+        // Error handling. Open rounds are refunded from the journal on the
+        // next boot, only queued writes are worth saving here
         process.on('uncaughtException', (error) => {
-            console.error('💥 Uncaught exception:', error);
-            process.exit(1);
+            logger.error('💥 Uncaught exception', { error });
+            this.exit(1);
         });
         
         process.on('unhandledRejection', (reason, promise) => {
-            console.error('💥 Unhandled rejection at:', promise, 'reason:', reason);
-            process.exit(1);
+            logger.error('💥 Unhandled rejection', { error: reason });
+            this.exit(1);
+        });
+    }
+    
+    async shutdown(signal) {
+        // A second signal skips the wait, the journal covers what is left
+        if (this.shuttingDown) {
+            logger.warn(`🛑 ${signal} received again, exiting now`);
+            this.exit(1);
+            return;
+        }
+        
+        this.shuttingDown = true;
+        
+        logger.info(`🛑 ${signal} received, shutting down gracefully`);
+        
+        this.io.emit('server_shutdown', {
+            graceTime: this.config.shutdownGrace
+        });
+        
+        // Rounds in progress are settled or refunded before anything closes
+        await this.roomManager.drain(this.config.shutdownGrace);
+        
+        this.roomManager.stop();
+        clearTimeout(this.leaderboardPushTimeout);
+        this.server.close(() => {
+            logger.info('✅ Server closed');
         });
+        
+        this.exit(0);
     }
+    
+    // Flush pending writes before exiting
+    exit(code) {
+        this.repository.close()
+            .finally(() => closeLogging())
+            .finally(() => process.exit(code));
+    }
+}
+
+// Refuse to start with an invalid configuration
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    
+    logger.error('💥 Invalid configuration, refusing to start', { errors: error.errors });
+    process.exit(1);
 }
 
+configureLogging(config.logging);
+
 // Start server
-new CrashRocketServer();
+new CrashRocketServer(config);
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryRepository = require('./memory-repository');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('storage');
+
+// Embedded default: append-only JSON Lines files for rounds, bets, the
+// ledger, the round journal, seed chains and the admin audit log, plus a
+// players.json snapshot. Players, rounds, bets, chains and the audit log are
+// loaded into memory on init and indexed there; the ledger (already held by
+// the wallet) and the journal (compacted after every boot) are only read
+// back from disk. Every write is queued in the same tick it is made, so the
+// files keep insertion order and a read or close() right after sees it.
+class FileRepository extends MemoryRepository {
+    constructor(options = {}) {
+        super();
+        
+        this.dataDir = options.dataDir;
+        this.files = {
+            players: path.join(this.dataDir, 'players.json'),
+            rounds: path.join(this.dataDir, 'rounds.jsonl'),
+            bets: path.join(this.dataDir, 'bets.jsonl'),
+            ledger: path.join(this.dataDir, 'ledger.jsonl'),
+            audit: path.join(this.dataDir, 'audit.jsonl'),
+            journal: path.join(this.dataDir, 'journal.jsonl'),
+            seedChains: path.join(this.dataDir, 'chains.jsonl'),
+            fairness: path.join(this.dataDir, 'fairness.json')
+        };
+        
+        this.writeQueue = Promise.resolve();
+        this.ledgerScan = { offset: 0, entries: 0, balances: new Map() }; // sums of ledger.jsonl read so far
+        this.playersSaveTimeout = null;
+        this.playersSaveDelay = options.playersSaveDelay || 1000;
+    }
+    
+    async init() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        
+        const players = await this.readJson(this.files.players, []);
+        players.forEach(profile => this.players.set(profile.id, profile));
+        
+        for (const round of await this.readLines(this.files.rounds)) {
+            await super.saveRound(round);
+        }
+        
+        await super.saveBets(await this.readLines(this.files.bets));
+        this.audit = await this.readLines(this.files.audit);
+        
+        const fairness = await this.readJson(this.files.fairness, {});
+        Object.entries(fairness).forEach(([roomId, state]) => this.fairness.set(roomId, state));
+        
+        // A chain is written when published and again when its seed is fixed
+        for (const chain of await this.readLines(this.files.seedChains)) {
+            await super.saveSeedChain(chain);
+        }
+        
+        logger.info(`💾 Storage loaded from ${this.dataDir}: ${this.players.size} players, ${this.rounds.length} rounds, ${this.bets.length} bets, ${this.seedChains.size} seed chains, ${this.audit.length} audit entries`);
+    }
+    
+    async close() {
+        if (this.playersSaveTimeout) {
+            clearTimeout(this.playersSaveTimeout);
+            this.playersSaveTimeout = null;
+            this.enqueue(() => this.writePlayers());
+        }
+        
+        await this.writeQueue;
+    }
+    
+    async savePlayer(profile) {
+        super.savePlayer(profile);
+        
+        // Profiles change often, batch them into one snapshot write
+        if (!this.playersSaveTimeout) {
+            this.playersSaveTimeout = setTimeout(() => {
+                this.playersSaveTimeout = null;
+                this.enqueue(() => this.writePlayers());
+            }, this.playersSaveDelay);
+        }
+    }
+    
+    saveRound(round) {
+        super.saveRound(round);
+        return this.append(this.files.rounds, [round]);
+    }
+    
+    // The file only appends, so a bet saved twice has two lines; the last
+    // one wins when they are loaded back
+    saveBets(bets) {
+        super.saveBets(bets);
+        return this.append(this.files.bets, bets);
+    }
+    
+    appendLedgerEntry(entry) {
+        return this.append(this.files.ledger, [entry]);
+    }
+    
+    getLedgerEntries() {
+        return this.queueRead(() => this.readLines(this.files.ledger));
+    }
+    
+    async getRoundLedgerEntries(roundId) {
+        return (await this.getLedgerEntries()).filter(entry => entry.roundId === roundId);
+    }
+    
+    // Read back from the file, so a write that never made it to disk shows
+    // up. Each call only reads what was appended since the last one
+    getLedgerBalances() {
+        return this.queueRead(() => this.scanLedger());
+    }
+    
+    appendAuditEntry(entry) {
+        super.appendAuditEntry(entry);
+        return this.append(this.files.audit, [entry]);
+    }
+    
+    saveSeedChain(chain) {
+        super.saveSeedChain(chain);
+        return this.append(this.files.seedChains, [chain]);
+    }
+    
+    // Rewritten whole on every round, it is one small object per room
+    saveFairnessState(roomId, state) {
+        super.saveFairnessState(roomId, state);
+        return this.enqueue(() => this.writeAtomically(this.files.fairness, JSON.stringify(Object.fromEntries(this.fairness))));
+    }
+    
+    appendJournalEntry(entry) {
+        return this.append(this.files.journal, [entry]);
+    }
+    
+    getJournalEntries() {
+        return this.queueRead(() => this.readLines(this.files.journal));
+    }
+    
+    replaceJournalEntries(entries) {
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        return this.enqueue(() => this.writeAtomically(this.files.journal, lines));
+    }
+    
+    // File helpers
+    enqueue(task) {
+        this.writeQueue = this.writeQueue
+            .then(task)
+            .catch(error => {
+                logger.error('💾 Storage write failed', { error });
+            });
+        
+        return this.writeQueue;
+    }
+    
+    // A read that sees every write queued before it; its errors go to the caller
+    queueRead(task) {
+        const read = this.writeQueue.then(task);
+        this.writeQueue = read.catch(() => {});
+        
+        return read;
+    }
+    
+    append(file, records) {
+        if (records.length === 0) return Promise.resolve();
+        
+        const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        return this.enqueue(() => fs.promises.appendFile(file, lines));
+    }
+    
+    async scanLedger() {
+        const scan = this.ledgerScan;
+        let handle;
+        
+        try {
+            handle = await fs.promises.open(this.files.ledger, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        if (handle) {
+            try {
+                const { size } = await handle.stat();
+                const buffer = Buffer.alloc(Math.max(size - scan.offset, 0));
+                await handle.read(buffer, 0, buffer.length, scan.offset);
+                
+                // A line still being written is left for the next scan
+                const complete = buffer.subarray(0, buffer.lastIndexOf(0x0a) + 1);
+                scan.offset += complete.length;
+                
+                complete.toString('utf8').split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    
+                    try {
+                        MemoryRepository.addLedgerEntry(scan, JSON.parse(line));
+                    } catch (error) {
+                        // Torn by a crash: the entry is missing, which the reconciliation reports
+                    }
+                });
+            } finally {
+                await handle.close();
+            }
+        }
+        
+        return { entries: scan.entries, balances: new Map(scan.balances) };
+    }
+    
+    writePlayers() {
+        return this.writeAtomically(this.files.players, JSON.stringify(Array.from(this.players.values())));
+    }
+    
+    async writeAtomically(file, content) {
+        const tempFile = `${file}.tmp`;
+        
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, file);
+    }
+    
+    async readJson(file, fallback) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+    
+    async readLines(file) {
+        let content;
+        try {
+            content = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const records = [];
+        
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A line torn by a crash mid-write is skipped
+                logger.warn('⚠️ Skipping unreadable record', { file, line: index + 1 });
+            }
+        });
+        
+        // Make sure the next append starts on a fresh line
+        if (content.length > 0 && !content.endsWith('\n')) {
+            await fs.promises.appendFile(file, '\n');
+        }
+        
+        return records;
+    }
+}
+
+module.exports = FileRepository;
@@ -0,0 +1,17 @@
+const FileRepository = require('./file-repository');
+const MemoryRepository = require('./memory-repository');
+
+function createRepository(config) {
+    switch (config.driver) {
+        case 'memory':
+            return new MemoryRepository();
+            
+        case 'file':
+        default:
+            return new FileRepository({ dataDir: config.dataDir });
+    }
+}
+
+module.exports = {
+    createRepository
+};
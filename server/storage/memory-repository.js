@@ -0,0 +1,191 @@
+const Repository = require('./repository');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keeps everything in process memory, nothing survives a restart
+class MemoryRepository extends Repository {
+    constructor() {
+        super();
+        
+        this.players = new Map(); // playerId -> profile
+        this.rounds = []; // oldest first
+        this.roundsById = new Map();
+        this.bets = [];
+        this.betsById = new Map();
+        this.betsByRound = new Map(); // roundId -> bets
+        this.betsByDay = new Map(); // day of placedAt -> bets, so a recent window skips older days
+        this.ledger = [];
+        this.audit = [];
+        this.journal = [];
+        this.seedChains = new Map(); // terminatingHash -> chain
+        this.fairness = new Map(); // roomId -> seed chain state
+    }
+    
+    async savePlayer(profile) {
+        this.players.set(profile.id, { ...this.players.get(profile.id), ...profile });
+    }
+    
+    async getPlayer(playerId) {
+        const profile = this.players.get(playerId);
+        return profile ? { ...profile } : null;
+    }
+    
+    async findPlayerByUsername(username) {
+        const normalized = username.toLowerCase();
+        
+        for (const profile of this.players.values()) {
+            if (profile.username && profile.username.toLowerCase() === normalized) {
+                return { ...profile };
+            }
+        }
+        
+        return null;
+    }
+    
+    async saveRound(round) {
+        this.rounds.push(round);
+        this.roundsById.set(round.id, round);
+    }
+    
+    async getRound(roundId) {
+        const round = this.roundsById.get(roundId);
+        return round ? { ...round } : null;
+    }
+    
+    // Rooms finish rounds in any order, so sort by id rather than insertion
+    async getRecentRounds(limit, roomId = null, before = null) {
+        return this.getRounds(roomId)
+            .filter(round => before === null || round.id < before)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    }
+    
+    async getRoundTotals(roomId = null) {
+        return this.getRounds(roomId).reduce((totals, round) => {
+            totals.totalGames++;
+            totals.totalBets += round.totalBets || 0;
+            totals.totalPayouts += round.totalPayouts || 0;
+            totals.lastRoundId = Math.max(totals.lastRoundId, round.id);
+            return totals;
+        }, { totalGames: 0, totalBets: 0, totalPayouts: 0, lastRoundId: 0 });
+    }
+    
+    getRounds(roomId) {
+        return roomId ? this.rounds.filter(round => round.roomId === roomId) : this.rounds;
+    }
+    
+    // Upserts by bet id: a recovery cut short saves the same bets again
+    async saveBets(bets) {
+        bets.forEach(bet => {
+            const stored = this.betsById.get(bet.id);
+            this.betsById.set(bet.id, bet);
+            
+            if (stored) {
+                replaceIn(this.bets, stored, bet);
+                replaceIn(this.betsByRound.get(stored.roundId), stored, bet);
+                replaceIn(this.betsByDay.get(Math.floor(stored.placedAt / DAY)), stored, bet);
+                return;
+            }
+            
+            this.bets.push(bet);
+            addToIndex(this.betsByRound, bet.roundId, bet);
+            addToIndex(this.betsByDay, Math.floor(bet.placedAt / DAY), bet);
+        });
+    }
+    
+    async getBetsByRound(roundId) {
+        return [...(this.betsByRound.get(roundId) || [])];
+    }
+    
+    async getBetsSince(since) {
+        if (!since) return [...this.bets];
+        
+        const firstDay = Math.floor(since / DAY);
+        const bets = [];
+        
+        this.betsByDay.forEach((dayBets, day) => {
+            if (day >= firstDay) {
+                bets.push(...dayBets.filter(bet => bet.placedAt >= since));
+            }
+        });
+        
+        return bets;
+    }
+    
+    async appendLedgerEntry(entry) {
+        this.ledger.push(entry);
+    }
+    
+    async getLedgerEntries() {
+        return [...this.ledger];
+    }
+    
+    async getRoundLedgerEntries(roundId) {
+        return this.ledger.filter(entry => entry.roundId === roundId);
+    }
+    
+    async getLedgerBalances() {
+        return this.ledger.reduce(addLedgerEntry, { entries: 0, balances: new Map() });
+    }
+    
+    async appendAuditEntry(entry) {
+        this.audit.push(entry);
+    }
+    
+    async getAuditEntries(limit) {
+        return this.audit.slice(-limit).reverse();
+    }
+    
+    async saveSeedChain(chain) {
+        this.seedChains.set(chain.terminatingHash, { ...this.seedChains.get(chain.terminatingHash), ...chain });
+    }
+    
+    async getSeedChain(terminatingHash) {
+        const chain = this.seedChains.get(terminatingHash);
+        return chain ? { ...chain } : null;
+    }
+    
+    async saveFairnessState(roomId, state) {
+        this.fairness.set(roomId, state);
+    }
+    
+    async getFairnessState(roomId) {
+        return this.fairness.get(roomId) || null;
+    }
+    
+    async appendJournalEntry(entry) {
+        this.journal.push(entry);
+    }
+    
+    async getJournalEntries() {
+        return [...this.journal];
+    }
+    
+    async replaceJournalEntries(entries) {
+        this.journal = [...entries];
+    }
+}
+
+function addToIndex(index, key, record) {
+    const records = index.get(key);
+    if (records) {
+        records.push(record);
+    } else {
+        index.set(key, [record]);
+    }
+}
+
+function replaceIn(records, stored, record) {
+    records[records.indexOf(stored)] = record;
+}
+
+// Sums in integer cents, like the wallet
+function addLedgerEntry(totals, entry) {
+    totals.entries++;
+    totals.balances.set(entry.playerId, (totals.balances.get(entry.playerId) || 0) + Math.round(entry.amount * 100));
+    return totals;
+}
+
+MemoryRepository.addLedgerEntry = addLedgerEntry;
+
+module.exports = MemoryRepository;
@@ -0,0 +1,120 @@
+// Storage interface shared by every backend. All methods are async so a
+// database-backed implementation can be swapped in without touching callers.
+
+class Repository {
+    async init() {}
+    
+    async close() {}
+    
+    // Players: { id, name, guest, username, passwordHash, createdAt, lastSeenAt, statistics, ban }
+    // savePlayer merges the given fields into the stored profile
+    async savePlayer(profile) {
+        throw new Error('Repository.savePlayer not implemented');
+    }
+    
+    async getPlayer(playerId) {
+        throw new Error('Repository.getPlayer not implemented');
+    }
+    
+    async findPlayerByUsername(username) {
+        throw new Error('Repository.findPlayerByUsername not implemented');
+    }
+    
+    // Rounds: { id, roomId, crashPoint, startedAt, crashedAt, seed data, totals, houseProfit }
+    // Reads take an optional roomId, without it they cover every room
+    async saveRound(round) {
+        throw new Error('Repository.saveRound not implemented');
+    }
+    
+    async getRound(roundId) {
+        throw new Error('Repository.getRound not implemented');
+    }
+    
+    // Newest id first; `before` pages back to rounds with a smaller id
+    async getRecentRounds(limit, roomId = null, before = null) {
+        throw new Error('Repository.getRecentRounds not implemented');
+    }
+    
+    async getRoundTotals(roomId = null) {
+        throw new Error('Repository.getRoundTotals not implemented');
+    }
+    
+    // Bets: { id, roundId, roomId, playerId, slot, amount, autoCashOut, cashOutMultiplier, payout, outcome }
+    // Saving a bet id again replaces the stored bet
+    async saveBets(bets) {
+        throw new Error('Repository.saveBets not implemented');
+    }
+    
+    async getBetsByRound(roundId) {
+        throw new Error('Repository.getBetsByRound not implemented');
+    }
+    
+    // Bets placed at or after `since` (ms timestamp), every bet when null
+    async getBetsSince(since) {
+        throw new Error('Repository.getBetsSince not implemented');
+    }
+    
+    // Wallet ledger entries, in insertion order
+    async appendLedgerEntry(entry) {
+        throw new Error('Repository.appendLedgerEntry not implemented');
+    }
+    
+    async getLedgerEntries() {
+        throw new Error('Repository.getLedgerEntries not implemented');
+    }
+    
+    // Entries of one round, read when recovery settles a round left open
+    async getRoundLedgerEntries(roundId) {
+        throw new Error('Repository.getRoundLedgerEntries not implemented');
+    }
+    
+    // Sums of the stored ledger for reconciliation: { entries, balances: playerId -> cents }
+    async getLedgerBalances() {
+        throw new Error('Repository.getLedgerBalances not implemented');
+    }
+    
+    // Admin audit log: { id, action, details, ip, createdAt }, newest first on read
+    async appendAuditEntry(entry) {
+        throw new Error('Repository.appendAuditEntry not implemented');
+    }
+    
+    async getAuditEntries(limit) {
+        throw new Error('Repository.getAuditEntries not implemented');
+    }
+    
+    // Seed chains: { terminatingHash, roomId, length, publishedAt, clientSeedSource, seeds, clientSeed, startedAt }
+    // saveSeedChain merges the given fields into the stored chain
+    async saveSeedChain(chain) {
+        throw new Error('Repository.saveSeedChain not implemented');
+    }
+    
+    async getSeedChain(terminatingHash) {
+        throw new Error('Repository.getSeedChain not implemented');
+    }
+    
+    // Secret seed chain state of a room (root seeds, seeds left, player
+    // seeds), never served to clients; saving replaces the room's state
+    async saveFairnessState(roomId, state) {
+        throw new Error('Repository.saveFairnessState not implemented');
+    }
+    
+    async getFairnessState(roomId) {
+        throw new Error('Repository.getFairnessState not implemented');
+    }
+    
+    // Round journal: { type, roomId, gameId, createdAt, ...details }, in insertion order
+    async appendJournalEntry(entry) {
+        throw new Error('Repository.appendJournalEntry not implemented');
+    }
+    
+    async getJournalEntries() {
+        throw new Error('Repository.getJournalEntries not implemented');
+    }
+    
+    // Drops the entries of closed rounds: `entries` are the ones still needed
+    async replaceJournalEntries(entries) {
+        throw new Error('Repository.replaceJournalEntries not implemented');
+    }
+}
+
+module.exports = Repository;
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AccountManager = require('../accounts');
+const MemoryRepository = require('../storage/memory-repository');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+function createAccounts() {
+    const repository = new MemoryRepository();
+    return { repository, accounts: new AccountManager(repository, { sessionSecret: 'x'.repeat(32) }) };
+}
+
+describe('AccountManager', () => {
+    it('lets only one of two concurrent registrations take a username', async () => {
+        const { repository, accounts } = createAccounts();
+        const first = await accounts.createGuest();
+        const second = await accounts.createGuest();
+        
+        const results = await Promise.all([
+            accounts.register(first.id, 'rocket', 'secret1'),
+            accounts.register(second.id, 'Rocket', 'secret2')
+        ]);
+        
+        assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+        assert.equal(results.find(result => !result.success).code, 'username_taken');
+        
+        const guests = await Promise.all([repository.getPlayer(first.id), repository.getPlayer(second.id)]);
+        assert.equal(guests.filter(profile => profile.username).length, 1);
+    });
+    
+    it('frees the username when a registration fails', async () => {
+        const { accounts } = createAccounts();
+        const guest = await accounts.createGuest();
+        
+        assert.equal((await accounts.register('p_missing', 'rocket', 'secret1')).code, 'account_not_found');
+        assert.equal((await accounts.register(guest.id, 'rocket', 'secret1')).success, true);
+    });
+    
+    it('logs in with the registered password', async () => {
+        const { accounts } = createAccounts();
+        const guest = await accounts.createGuest();
+        await accounts.register(guest.id, 'rocket', 'secret1');
+        
+        const login = await accounts.login('rocket', 'secret1');
+        
+        assert.equal(login.success, true);
+        assert.equal(accounts.verifyToken(login.token), guest.id);
+        assert.equal((await accounts.login('rocket', 'wrong')).code, 'invalid_credentials');
+    });
+});
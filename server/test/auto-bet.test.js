@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoBetManager = require('../auto-bet');
+
+const SETTINGS = {
+    rounds: 10,
+    baseBet: 10,
+    autoCashOut: 2,
+    onWin: 'reset',
+    onWinValue: 0,
+    onLoss: 'multiply',
+    onLossValue: 2,
+    stopOnProfit: null,
+    stopOnLoss: null
+};
+
+function betRecord(amount, payout) {
+    return { amount: amount, payout: payout, outcome: payout > 0 ? 'won' : 'lost' };
+}
+
+describe('AutoBetManager', () => {
+    it('adjusts the next stake after each result', () => {
+        const autoBets = new AutoBetManager();
+        const strategy = autoBets.start('p1', 'classic', SETTINGS);
+        
+        assert.equal(autoBets.settle(strategy, betRecord(10, 0)), null);
+        assert.equal(strategy.nextBet, 20);
+        assert.equal(autoBets.settle(strategy, betRecord(20, 0)), null);
+        assert.equal(strategy.nextBet, 40);
+        assert.equal(autoBets.settle(strategy, betRecord(40, 80)), null);
+        assert.equal(strategy.nextBet, 10);
+        
+        assert.equal(strategy.roundsPlayed, 3);
+        assert.equal(strategy.wins, 1);
+        assert.equal(strategy.losses, 2);
+        assert.equal(strategy.profit, 10);
+    });
+    
+    it('adds to the stake with an add adjustment', () => {
+        const autoBets = new AutoBetManager();
+        const strategy = autoBets.start('p1', 'classic', { ...SETTINGS, onWin: 'add', onWinValue: 0.5 });
+        
+        autoBets.settle(strategy, betRecord(10, 20));
+        
+        assert.equal(strategy.nextBet, 10.5);
+    });
+    
+    it('stops after the rounds, the profit target or the loss limit', () => {
+        const autoBets = new AutoBetManager();
+        const { STOP_REASONS } = AutoBetManager;
+        
+        const rounds = autoBets.start('p1', 'classic', { ...SETTINGS, rounds: 1 });
+        assert.equal(autoBets.settle(rounds, betRecord(10, 20)), STOP_REASONS.ROUNDS_COMPLETED);
+        
+        const profit = autoBets.start('p2', 'classic', { ...SETTINGS, stopOnProfit: 10 });
+        assert.equal(autoBets.settle(profit, betRecord(10, 20)), STOP_REASONS.PROFIT_TARGET);
+        
+        const loss = autoBets.start('p3', 'classic', { ...SETTINGS, stopOnLoss: 25 });
+        assert.equal(autoBets.settle(loss, betRecord(10, 0)), null);
+        assert.equal(autoBets.settle(loss, betRecord(20, 0)), STOP_REASONS.LOSS_LIMIT);
+    });
+    
+    it('keeps one strategy per player', () => {
+        const autoBets = new AutoBetManager();
+        autoBets.start('p1', 'classic', SETTINGS);
+        autoBets.start('p2', 'turbo', SETTINGS);
+        
+        assert.deepEqual(autoBets.getRoomStrategies('classic').map(strategy => strategy.playerId), ['p1']);
+        assert.equal(autoBets.stop('p1').playerId, 'p1');
+        assert.equal(autoBets.get('p1'), null);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChatManager = require('../chat');
+const MemoryRepository = require('../storage/memory-repository');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+const CONFIG = {
+    historySize: 50,
+    maxLength: 200,
+    rateLimit: { messages: 5, window: 10000 },
+    bannedWords: [],
+    moderators: ['mod']
+};
+
+describe('ChatManager moderation', () => {
+    let repository;
+    let chat;
+    
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['Date'], now: 1000000 });
+        
+        repository = new MemoryRepository();
+        await repository.savePlayer({ id: 'm1', name: 'Mod', username: 'mod' });
+        chat = new ChatManager(repository, CONFIG);
+    });
+    
+    afterEach(() => {
+        mock.timers.reset();
+    });
+    
+    function say(playerId, playerName, text) {
+        return chat.sendMessage('classic', { playerId, playerName }, text);
+    }
+    
+    it('refuses a name two players share and takes the player id instead', async () => {
+        await say('p1', 'Bob', 'hi');
+        await say('p2', 'bob', 'hello');
+        
+        const ambiguous = await say('m1', 'Mod', '/mute Bob');
+        assert.equal(ambiguous.success, false);
+        assert.equal(ambiguous.code, 'ambiguous_player');
+        
+        await repository.savePlayer({ id: 'p2', name: 'bob' });
+        const byId = await say('m1', 'Mod', '/mute p2');
+        assert.equal(byId.success, true);
+        assert.equal((await say('p2', 'bob', 'again')).code, 'chat_muted');
+        assert.equal((await say('p1', 'Bob', 'still here')).success, true);
+    });
+    
+    it('counts a registered username and a speaker with that name as two players', async () => {
+        await repository.savePlayer({ id: 'p1', name: 'Ana', username: 'ana' });
+        await say('p2', 'ana', 'hi');
+        
+        assert.equal((await say('m1', 'Mod', '/ban ana')).code, 'ambiguous_player');
+    });
+    
+    it('drops rate windows on leave and mutes once expired', async () => {
+        await say('p1', 'Bob', 'hi');
+        await say('m1', 'Mod', '/mute Bob 1');
+        
+        chat.removePlayer('p1');
+        assert.equal(chat.recentMessages.has('p1'), false);
+        assert.equal(chat.mutes.has('p1'), true);
+        
+        mock.timers.tick(60000);
+        assert.equal((await say('p1', 'Bob', 'back')).success, true);
+        assert.equal(chat.mutes.has('p1'), false);
+        
+        await say('p3', 'Eve', 'hi');
+        await say('m1', 'Mod', '/mute Eve 1');
+        mock.timers.tick(60000);
+        
+        chat.removePlayer('p4');
+        assert.equal(chat.mutes.size, 0);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileRepository = require('../storage/file-repository');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function bet(id, roundId, placedAt) {
+    return { id, roundId, roomId: 'classic', playerId: 'p1', slot: 0, amount: 10, payout: 0, outcome: 'lost', placedAt };
+}
+
+describe('FileRepository', () => {
+    let dataDir;
+    
+    before(async () => {
+        dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-repository-test-'));
+    });
+    
+    after(async () => {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    });
+    
+    it('indexes stored bets by round and by day again on init', async () => {
+        const now = 10 * DAY;
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'bets') });
+        await repository.init();
+        
+        repository.saveBets([bet('a', 1, now - 3 * DAY), bet('b', 2, now - DAY / 2)]);
+        repository.saveBets([bet('c', 2, now - DAY / 4), bet('d', 3, now)]);
+        await repository.close();
+        
+        const reopened = new FileRepository({ dataDir: path.join(dataDir, 'bets') });
+        await reopened.init();
+        
+        assert.deepEqual((await reopened.getBetsByRound(2)).map(stored => stored.id), ['b', 'c']);
+        assert.deepEqual(await reopened.getBetsByRound(4), []);
+        assert.deepEqual((await reopened.getBetsSince(now - DAY / 3)).map(stored => stored.id), ['c', 'd']);
+        assert.deepEqual((await reopened.getBetsSince(now - DAY)).map(stored => stored.id), ['b', 'c', 'd']);
+        assert.equal((await reopened.getBetsSince(null)).length, 4);
+    });
+    
+    it('keeps one record of a bet saved twice', async () => {
+        const now = 10 * DAY;
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'resaved') });
+        await repository.init();
+        
+        repository.saveBets([bet('a', 1, now), bet('b', 1, now)]);
+        repository.saveBets([{ ...bet('a', 1, now), outcome: 'refunded' }]);
+        assert.deepEqual((await repository.getBetsByRound(1)).map(stored => stored.outcome), ['refunded', 'lost']);
+        await repository.close();
+        
+        const reopened = new FileRepository({ dataDir: path.join(dataDir, 'resaved') });
+        await reopened.init();
+        
+        assert.deepEqual((await reopened.getBetsByRound(1)).map(stored => [stored.id, stored.outcome]), [['a', 'refunded'], ['b', 'lost']]);
+        assert.equal((await reopened.getBetsSince(now)).length, 2);
+        assert.equal((await reopened.getBetsSince(null)).length, 2);
+    });
+    
+    it('keeps the journal on disk and rewrites it when replaced', async () => {
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'journal') });
+        await repository.init();
+        
+        repository.appendJournalEntry({ type: 'bet_placed', gameId: 1 });
+        repository.appendJournalEntry({ type: 'round_finished', gameId: 1 });
+        assert.equal((await repository.getJournalEntries()).length, 2);
+        
+        await repository.replaceJournalEntries([{ type: 'round_finished', gameId: 1 }]);
+        repository.appendJournalEntry({ type: 'bet_placed', gameId: 2 });
+        
+        assert.deepEqual((await repository.getJournalEntries()).map(entry => entry.gameId), [1, 2]);
+        assert.equal(repository.journal.length, 0);
+    });
+});
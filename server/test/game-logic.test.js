@@ -0,0 +1,353 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('../game-logic');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+// Engine taking bets for a round that will crash at `crashPoint`
+function createEngine(crashPoint, config = {}) {
+    const engine = new GameEngine(null, { curve: { type: 'exponential' }, ...config });
+    engine.prepareRound();
+    engine.currentRound.crashPoint = crashPoint;
+    return engine;
+}
+
+// Ms after takeoff at which the round reaches `multiplier`
+function timeAt(engine, multiplier) {
+    return engine.curve.timeAt(multiplier) * 1000;
+}
+
+// Moves the clock one server tick at a time, like a running round
+function fly(engine, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += engine.config.updateInterval) {
+        mock.timers.tick(Math.min(engine.config.updateInterval, ms - elapsed));
+    }
+}
+
+function collect(engine, event) {
+    const events = [];
+    engine.on(event, data => events.push(data));
+    return events;
+}
+
+describe('GameEngine settlement', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date', 'setTimeout', 'setInterval'], now: 1000000 });
+    });
+    
+    afterEach(() => {
+        mock.timers.reset();
+    });
+    
+    describe('auto cash out', () => {
+        it('pays the target exactly when the round crashes above it', () => {
+            const engine = createEngine(3);
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            const betId = engine.placeBet('p1', 10, 2);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.5)));
+            
+            assert.equal(cashOuts.length, 1);
+            assert.equal(cashOuts[0].betId, betId);
+            assert.equal(cashOuts[0].multiplier, 2);
+            assert.equal(cashOuts[0].winAmount, 20);
+        });
+        
+        it('loses a target equal to the crash point', () => {
+            const engine = createEngine(2);
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            const finished = collect(engine, 'round_finished');
+            engine.placeBet('p1', 10, 2);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2)) + 1);
+            
+            assert.equal(cashOuts.length, 0);
+            assert.equal(finished.length, 1);
+            assert.equal(finished[0].round.crashPoint, 2);
+            assert.equal(finished[0].bets[0].outcome, 'lost');
+            assert.equal(finished[0].bets[0].payout, 0);
+        });
+        
+        it('pays a target passed between the last tick and the crash', () => {
+            const engine = createEngine(2.01, { updateInterval: 60000 });
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            const finished = collect(engine, 'round_finished');
+            engine.placeBet('p1', 10, 2);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.01)) + 1);
+            
+            assert.equal(cashOuts.length, 1);
+            assert.equal(cashOuts[0].multiplier, 2);
+            assert.equal(finished[0].bets[0].outcome, 'won');
+        });
+        
+        it('rejects targets the capped crash point can never pass', () => {
+            const engine = createEngine(2, { maxMultiplier: 100 });
+            
+            assert.equal(engine.validateBet('p1', 10, 100).code, 'invalid_auto_cash_out');
+            assert.equal(engine.validateBet('p1', 10, 99.99), null);
+        });
+    });
+    
+    describe('manual cash out', () => {
+        it('prices the cash out at the moment it was received', () => {
+            const engine = createEngine(3);
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            fly(engine, 100);
+            
+            const receivedAt = engine.startTime + Math.ceil(timeAt(engine, 1.5));
+            const result = engine.cashOut('p1', betId, receivedAt);
+            
+            assert.equal(result.success, true);
+            assert.equal(result.multiplier, engine.getMultiplierAt(receivedAt));
+            assert.equal(result.winAmount, Math.floor(10 * result.multiplier * 100) / 100);
+        });
+        
+        it('refuses a cash out received at or after the crash instant', () => {
+            const engine = createEngine(2);
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            fly(engine, 100);
+            
+            const result = engine.cashOut('p1', betId, engine.crashAt);
+            
+            assert.equal(result.success, false);
+            assert.equal(result.code, 'cash_out_closed');
+            assert.equal(engine.cashOut('p1', betId, engine.crashAt - 1).success, true);
+        });
+        
+        it('refuses a cash out once the round crashed', () => {
+            const engine = createEngine(1.5);
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 1.5)) + 1);
+            
+            assert.equal(engine.cashOut('p1', betId).code, 'cash_out_closed');
+        });
+        
+        it('only lets the owner cash out a bet', () => {
+            const engine = createEngine(3);
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            
+            assert.equal(engine.cashOut('p2', betId).code, 'bet_not_found');
+        });
+    });
+    
+    describe('auto and manual cash out at the same tick', () => {
+        it('caps a late manual cash out at the target and pays it once', () => {
+            const engine = createEngine(3);
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            const betId = engine.placeBet('p1', 10, 2);
+            
+            engine.startGame();
+            
+            // Received past the target, before the tick that would pay it
+            const receivedAt = engine.startTime + Math.ceil(timeAt(engine, 2.05));
+            const result = engine.cashOut('p1', betId, receivedAt);
+            
+            fly(engine, Math.ceil(timeAt(engine, 2.5)));
+            
+            assert.equal(result.success, true);
+            assert.equal(result.multiplier, 2);
+            assert.equal(result.winAmount, 20);
+            assert.equal(cashOuts.length, 0);
+            assert.equal(engine.activeBets.get(betId).winAmount, 20);
+        });
+        
+        it('refuses the manual cash out once the tick paid the target', () => {
+            const engine = createEngine(3);
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            const betId = engine.placeBet('p1', 10, 2);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.05)));
+            
+            const result = engine.cashOut('p1', betId);
+            
+            assert.equal(cashOuts.length, 1);
+            assert.equal(result.success, false);
+            assert.equal(result.code, 'already_cashed_out');
+            assert.equal(engine.activeBets.get(betId).winAmount, 20);
+        });
+    });
+    
+    describe('partial cash out', () => {
+        it('takes out a share of the stake and lets the rest ride', () => {
+            const engine = createEngine(3);
+            const finished = collect(engine, 'round_finished');
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            
+            const first = engine.cashOut('p1', betId, engine.startTime + Math.ceil(timeAt(engine, 1.5)), 0.5);
+            const second = engine.cashOut('p1', betId, engine.startTime + Math.ceil(timeAt(engine, 2)), 0.5);
+            
+            assert.equal(first.betAmount, 5);
+            assert.equal(first.remaining, 5);
+            assert.equal(first.partial, true);
+            assert.equal(second.betAmount, 2.5);
+            assert.equal(second.remaining, 2.5);
+            
+            fly(engine, Math.ceil(timeAt(engine, 3)) + 1);
+            
+            const [bet] = finished[0].bets;
+            assert.equal(bet.outcome, 'won');
+            assert.equal(bet.cashOuts.length, 2);
+            assert.equal(bet.payout, Math.round((first.winAmount + second.winAmount) * 100) / 100);
+        });
+        
+        it('floors the share to the cent and refuses less than a cent', () => {
+            const engine = createEngine(3);
+            const betId = engine.placeBet('p1', 0.29);
+            const smallBetId = engine.placeBet('p2', 0.01);
+            
+            engine.startGame();
+            
+            assert.equal(engine.cashOut('p1', betId, engine.startTime + 1, 0.5).betAmount, 0.14);
+            assert.equal(engine.activeBets.get(betId).remaining, 0.15);
+            assert.equal(engine.cashOut('p2', smallBetId, engine.startTime + 1, 0.5).code, 'invalid_fraction');
+        });
+        
+        it('refunds only the riding part of an aborted bet', () => {
+            const engine = createEngine(3);
+            const aborted = collect(engine, 'round_aborted');
+            const betId = engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            engine.cashOut('p1', betId, engine.startTime + 1, 0.3);
+            engine.abortRound('test');
+            
+            const [bet] = aborted[0].bets;
+            assert.equal(bet.outcome, 'refunded');
+            assert.equal(GameEngine.getRefundableStake(bet), 7);
+        });
+    });
+    
+    describe('cancel bet', () => {
+        it('takes a bet back before takeoff', () => {
+            const engine = createEngine(3);
+            const betId = engine.placeBet('p1', 10, 2, 1);
+            
+            const result = engine.cancelBet('p1', betId);
+            
+            assert.equal(result.success, true);
+            assert.equal(result.betAmount, 10);
+            assert.equal(result.slot, 1);
+            assert.equal(engine.activeBets.size, 0);
+            assert.equal(engine.stats.totalBets, 0);
+            assert.equal(engine.validateBet('p1', 10, null, 1), null);
+        });
+        
+        it('refuses to cancel after takeoff or for another player', () => {
+            const engine = createEngine(3);
+            const betId = engine.placeBet('p1', 10);
+            
+            assert.equal(engine.cancelBet('p2', betId).code, 'bet_not_found');
+            
+            engine.startGame();
+            
+            assert.equal(engine.cancelBet('p1', betId).code, 'betting_closed');
+            assert.equal(engine.activeBets.size, 1);
+        });
+    });
+    
+    describe('risk limits', () => {
+        it('refuses bets once the round has no seats left', () => {
+            const engine = createEngine(3, { maxPlayers: 1 });
+            engine.placeBet('p1', 10);
+            
+            assert.equal(engine.validateBet('p1', 10, null, 1), null);
+            assert.equal(engine.validateBet('p2', 10).code, 'round_full');
+        });
+        
+        it('refuses a target whose payout would pass the bet cap', () => {
+            const engine = createEngine(3, { maxBetPayout: 100 });
+            
+            assert.equal(engine.validateBet('p1', 10, 11).code, 'payout_limit');
+            assert.equal(engine.validateBet('p1', 10, 10), null);
+        });
+        
+        it('refuses stakes over the round exposure limit', () => {
+            const engine = createEngine(3, { maxBetPayout: 100, maxRoundPayout: 150 });
+            engine.placeBet('p1', 100);
+            
+            assert.equal(engine.validateBet('p2', 60).code, 'exposure_limit');
+            assert.equal(engine.validateBet('p2', 50), null);
+        });
+        
+        it('refuses stakes that are not whole cents', () => {
+            const engine = createEngine(3);
+            
+            assert.equal(engine.validateBet('p1', 10.005).code, 'invalid_bet_amount');
+            assert.equal(engine.placeBet('p1', 10.005), null);
+            assert.equal(engine.validateBet('p1', 10.01), null);
+        });
+        
+        it('cashes a bet out where it reaches the payout cap', () => {
+            const engine = createEngine(3, { maxBetPayout: 25 });
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.6)));
+            
+            assert.equal(cashOuts.length, 1);
+            assert.equal(cashOuts[0].forced, 'payout_limit');
+            assert.equal(cashOuts[0].multiplier, 2.5);
+            assert.equal(cashOuts[0].winAmount, 25);
+        });
+        
+        it('cashes every riding bet out at the round liability limit', () => {
+            const engine = createEngine(3, { maxRoundPayout: 40 });
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            engine.placeBet('p1', 10);
+            engine.placeBet('p2', 10);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.1)));
+            
+            assert.equal(cashOuts.length, 2);
+            assert.ok(cashOuts.every(cashOut => cashOut.forced === 'exposure_limit'));
+                        assert.ok(cashOuts.every(cashOut => cashOut.multiplier >= 2 && cashOut.multiplier < 2.1));
+        });
+        
+        it('pays nothing at the crash point itself', () => {
+            const engine = createEngine(2.5, { maxBetPayout: 25 });
+            const cashOuts = collect(engine, 'player_auto_cashed_out');
+            engine.placeBet('p1', 10);
+            
+            engine.startGame();
+            fly(engine, Math.ceil(timeAt(engine, 2.5)) + 1);
+            
+            assert.equal(cashOuts.length, 0);
+        });
+    });
+});
+
+describe('GameEngine flight cap', () => {
+    it('caps the crash point at what the curve reaches in maxGameTime', () => {
+        const engine = new GameEngine(null, { curve: { type: 'polynomial' }, maxGameTime: 30000, maxMultiplier: 1000 });
+        
+        assert.equal(engine.getMaxMultiplier(), 1.76);
+        assert.ok(engine.getMaxFlightTime() <= 30000);
+        assert.equal(engine.getCrashPointOptions().maxMultiplier, 1.76);
+        assert.equal(engine.validateBet('p1', 10, 2, 0).code, 'invalid_auto_cash_out');
+    });
+    
+    it('keeps maxMultiplier when the curve gets there in time', () => {
+        const engine = new GameEngine(null);
+        
+        assert.equal(engine.getMaxMultiplier(), 1000);
+        assert.ok(engine.getMaxFlightTime() <= engine.config.maxGameTime);
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ProvablyFair = require('../provably-fair');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+function createFairness(options = {}) {
+    const chains = [];
+    const fairness = new ProvablyFair({
+        chainLength: 5,
+        seedingRounds: 2,
+        onChain: (chain) => chains.push(chain),
+        ...options
+    });
+    
+    return { fairness, chains };
+}
+
+describe('ProvablyFair seed chains', () => {
+    it('starts with a short server seeded chain and publishes the next one', () => {
+        const { fairness, chains } = createFairness();
+        
+        const round = fairness.nextRound();
+        
+        assert.equal(chains.length, 2);
+        assert.equal(chains[0].clientSeedSource, ProvablyFair.SEED_SOURCES.SERVER);
+        assert.equal(chains[0].length, 2);
+        assert.equal(round.clientSeed, chains[0].clientSeed);
+        assert.equal(chains[1].clientSeed, null);
+        assert.equal(fairness.getChains().next.terminatingHash, chains[1].terminatingHash);
+    });
+    
+    it('derives the client seed of the next chain from the player seeds', () => {
+        const { fairness, chains } = createFairness();
+        
+        fairness.nextRound();
+        const { terminatingHash } = chains[1];
+        
+        assert.deepEqual(fairness.contributeSeed('p1', 'beta'), { success: true, terminatingHash });
+        assert.deepEqual(fairness.contributeSeed('p2', 'alpha'), { success: true, terminatingHash });
+        
+        fairness.nextRound();
+        const round = fairness.nextRound();
+        
+        const started = chains[2];
+        assert.equal(started.terminatingHash, terminatingHash);
+        assert.equal(started.clientSeedSource, ProvablyFair.SEED_SOURCES.PLAYERS);
+        assert.deepEqual(started.seeds, ['alpha', 'beta']);
+        assert.equal(started.clientSeed, ProvablyFair.clientSeedFromSeeds(terminatingHash, ['alpha', 'beta']));
+        assert.equal(round.clientSeed, started.clientSeed);
+        assert.equal(round.terminatingHash, terminatingHash);
+    });
+    
+    it('plays the published chain from its terminating hash down', () => {
+        const { fairness, chains } = createFairness();
+        
+        fairness.nextRound();
+        fairness.nextRound();
+        
+        const first = fairness.nextRound();
+        const second = fairness.nextRound();
+        
+        assert.equal(first.serverSeedHash, chains[1].terminatingHash);
+        assert.equal(ProvablyFair.hashSeed(second.serverSeed), first.serverSeed);
+    });
+    
+    it('takes one fixed seed per contributor up to the limit', () => {
+        const { fairness, chains } = createFairness({ maxSeeds: 2 });
+        
+        assert.equal(fairness.contributeSeed('p1', 'early').code, 'seeding_closed');
+        
+        fairness.nextRound();
+        fairness.contributeSeed('p1', 'gamma');
+        assert.equal(fairness.contributeSeed('p1', 'alpha').code, 'seed_already_contributed');
+        assert.equal(fairness.contributeSeed('p1', 'gamma').success, true);
+        fairness.contributeSeed('p2', 'beta');
+        
+        assert.equal(fairness.contributeSeed('p3', 'delta').code, 'seeding_full');
+        
+        fairness.nextRound();
+        fairness.nextRound();
+        
+        assert.deepEqual(chains[2].seeds, ['beta', 'gamma']);
+    });
+});
+
+describe('ProvablyFair restore', () => {
+    it('resumes the current chain and the published one where they were', () => {
+        const states = [];
+        const { fairness } = createFairness({ onState: (state) => states.push(state) });
+        
+        fairness.nextRound();
+        fairness.contributeSeed('p1', 'alpha');
+        const state = states[states.length - 1];
+        const chains = fairness.getChains();
+        const expected = [fairness.nextRound(), fairness.nextRound(), fairness.nextRound()];
+        
+        const { fairness: restored } = createFairness();
+        restored.restore(JSON.parse(JSON.stringify(state)));
+        
+        assert.deepEqual(restored.getChains(), chains);
+        assert.deepEqual([restored.nextRound(), restored.nextRound(), restored.nextRound()].map(round => round.serverSeed),
+            expected.map(round => round.serverSeed));
+        assert.equal(restored.getChains().current.clientSeed, ProvablyFair.clientSeedFromSeeds(state.next.record.terminatingHash, ['alpha']));
+    });
+    
+    it('refuses a stored chain whose root seed does not rebuild it', () => {
+        const states = [];
+        const { fairness } = createFairness({ onState: (state) => states.push(state) });
+        fairness.nextRound();
+        
+        const state = states[states.length - 1];
+        state.current.rootSeed = 'tampered';
+        
+        assert.throws(() => createFairness().fairness.restore(state), /does not match its root seed/);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RoundJournal = require('../round-journal');
+const MemoryRepository = require('../storage/memory-repository');
+
+function placeBet(journal, gameId, betId, amount) {
+    journal.betPlaced('classic', gameId, {
+        betId: betId,
+        playerId: 'p1',
+        slot: 0,
+        amount: amount,
+        autoCashOut: null,
+        placedAt: 1
+    });
+}
+
+describe('RoundJournal recovery', () => {
+    it('brings back the bets of a round left open', async () => {
+        const repository = new MemoryRepository();
+        const journal = new RoundJournal(repository);
+        
+        placeBet(journal, 7, 'a', 10);
+        placeBet(journal, 7, 'b', 10);
+        journal.betCashedOut('classic', 7, 'a', 10, 2, 20);
+        
+        const rounds = await new RoundJournal(repository).load();
+        
+        assert.equal(rounds.length, 1);
+        assert.equal(rounds[0].gameId, 7);
+        
+        const [won, riding] = rounds[0].bets;
+        assert.equal(won.outcome, 'won');
+        assert.equal(won.payout, 20);
+        assert.equal(riding.outcome, 'refunded');
+        assert.equal(riding.payout, 0);
+    });
+    
+    it('refunds only the part of a partly cashed out bet still riding', async () => {
+        const repository = new MemoryRepository();
+        const journal = new RoundJournal(repository);
+        
+        placeBet(journal, 7, 'a', 10);
+        journal.betCashedOut('classic', 7, 'a', 4, 1.5, 6);
+        
+        const [round] = await new RoundJournal(repository).load();
+        const [bet] = round.bets;
+        
+        assert.equal(bet.outcome, 'refunded');
+        assert.equal(bet.payout, 6);
+        assert.deepEqual(bet.cashOuts, [{ amount: 4, multiplier: 1.5, payout: 6 }]);
+    });
+    
+    it('skips closed rounds and bets already refunded', async () => {
+        const repository = new MemoryRepository();
+        const journal = new RoundJournal(repository);
+        
+        placeBet(journal, 7, 'a', 10);
+        journal.roundFinished('classic', 7);
+        placeBet(journal, 8, 'b', 10);
+        placeBet(journal, 8, 'c', 10);
+        journal.betRefunded('classic', 8, 'b');
+        
+        const recovered = new RoundJournal(repository);
+        const rounds = await recovered.load();
+        
+        assert.equal(rounds.length, 1);
+        assert.deepEqual(rounds[0].bets.map(bet => bet.id), ['c']);
+        assert.equal(recovered.lastGameId, 8);
+        assert.ok(recovered.openRounds.has(8));
+    });
+    
+    it('compacts away closed rounds but keeps open ones and the last gameId', async () => {
+        const repository = new MemoryRepository();
+        const journal = new RoundJournal(repository);
+        
+        placeBet(journal, 7, 'a', 10);
+        placeBet(journal, 8, 'b', 10);
+        journal.roundFinished('classic', 8);
+        placeBet(journal, 9, 'c', 10);
+        journal.roundAborted('classic', 9);
+        
+        const recovered = new RoundJournal(repository);
+        await recovered.load();
+        
+        assert.equal(await recovered.compact(), 3);
+        
+        const next = new RoundJournal(repository);
+        const rounds = await next.load();
+        
+        assert.deepEqual(rounds.map(round => round.gameId), [7]);
+        assert.equal(next.lastGameId, 9);
+        assert.equal(await next.compact(), 0);
+    });
+});
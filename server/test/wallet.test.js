@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Wallet = require('../wallet');
+const FileRepository = require('../storage/file-repository');
+const { configureLogging } = require('../logger');
+
+configureLogging({ level: 'error', format: 'pretty' });
+
+// A wallet whose entries are written to the repository, as the server wires it
+function createWallet(repository) {
+    const wallet = new Wallet();
+    wallet.on('entry', entry => repository.appendLedgerEntry(entry));
+    return wallet;
+}
+
+describe('Wallet reconciliation', () => {
+    let dataDir;
+    
+    before(async () => {
+        dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wallet-test-'));
+    });
+    
+    after(async () => {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    });
+    
+    it('finds no drift while every entry reaches the ledger file', async () => {
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'clean') });
+        await repository.init();
+        const wallet = createWallet(repository);
+        
+        wallet.deposit('p1', 100, 'welcome');
+        wallet.debitBet('p1', 10.1, 1);
+        
+        let report = await wallet.reconcile(repository);
+        assert.deepEqual(report.drift, []);
+        assert.equal(report.storedEntries, 2);
+        
+        // Later scans only read the new lines, on top of the earlier sums
+        wallet.creditPayout('p1', 20.2, 1, 'b1');
+        report = await wallet.reconcile(repository);
+        assert.deepEqual(report.drift, []);
+        assert.equal(report.storedEntries, 3);
+    });
+    
+    it('loads the stored sums and reads the entries of a round back from the file', async () => {
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'reload') });
+        await repository.init();
+        const wallet = createWallet(repository);
+        
+        wallet.deposit('p1', 100, 'welcome');
+        wallet.debitBet('p1', 10, 1, 'b1');
+        wallet.debitBet('p1', 5, 2, 'b2');
+        await repository.close();
+        
+        const reopened = new FileRepository({ dataDir: path.join(dataDir, 'reload') });
+        await reopened.init();
+        const loaded = createWallet(reopened);
+        loaded.load(await reopened.getLedgerBalances());
+        
+        assert.equal(loaded.getBalance('p1'), 85);
+        assert.deepEqual((await reopened.getRoundLedgerEntries(1)).map(entry => entry.betId), ['b1']);
+        
+        loaded.creditPayout('p1', 20, 2, 'b2');
+        const report = await loaded.reconcile(reopened);
+        assert.deepEqual(report.drift, []);
+        assert.equal(report.entries, 4);
+        assert.equal(report.storedEntries, 4);
+    });
+    
+    it('reports an entry that never reached the ledger file', async () => {
+        const repository = new FileRepository({ dataDir: path.join(dataDir, 'lost') });
+        await repository.init();
+        const wallet = createWallet(repository);
+        
+        wallet.deposit('p1', 100, 'welcome');
+        await wallet.reconcile(repository);
+        
+        // Lose the write of the next entry
+        wallet.removeAllListeners('entry');
+        wallet.debitBet('p1', 25, 1);
+        
+        let drifted = null;
+        wallet.on('drift', report => { drifted = report; });
+        
+        const report = await wallet.reconcile(repository);
+        assert.equal(drifted, report);
+        assert.equal(report.entries, 2);
+        assert.equal(report.storedEntries, 1);
+        assert.deepEqual(report.drift, [{ playerId: 'p1', ledgerBalance: 100, cachedBalance: 75, drift: -25 }]);
+    });
+});
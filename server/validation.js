@@ -0,0 +1,172 @@
+const Leaderboard = require('./leaderboard');
+const AutoBetManager = require('./auto-bet');
+const { BET_SLOTS } = require('./game-logic');
+
+const NAME_MAX_LENGTH = 24;
+const MAX_AUTO_CASH_OUT = 1000000;
+const MAX_AUTO_BET_ROUNDS = 10000;
+const MAX_ADJUSTMENT = 1000000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SEED_PATTERN = /^[\w-]{1,64}$/;
+
+// Zero-width and bidi control characters, used to fake or hide text
+const INVISIBLE_CHARACTERS = /[\u200B\u200C\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Letters, digits, spaces and _ . - only: no markup, no emoji
+function sanitizeName(value) {
+    return value
+        .normalize('NFC')
+        .replace(/<[^>]*>/g, '')
+        .replace(/[^\p{L}\p{N} _.-]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function sanitizeText(value) {
+    return value
+        .normalize('NFC')
+        .replace(/\p{Cc}/gu, ' ')
+        .replace(INVISIBLE_CHARACTERS, '')
+        .trim();
+}
+
+const TIMESTAMP = { type: 'number', optional: true };
+
+const CREDENTIALS = {
+    username: { type: 'string', maxLength: 64 },
+    password: { type: 'string', maxLength: 128 }
+};
+
+// Client -> server events. Fields not listed here are dropped.
+const SCHEMAS = {
+    join_room: {
+        roomId: { type: 'string', maxLength: 32 }
+    },
+    leave_room: {},
+    join_game: {
+        playerName: { type: 'string', nullable: true, default: null, sanitize: sanitizeName, maxLength: NAME_MAX_LENGTH },
+        timestamp: TIMESTAMP
+    },
+    register: CREDENTIALS,
+    login: CREDENTIALS,
+    get_leaderboard: {
+        period: { type: 'enum', values: Leaderboard.PERIODS, default: 'daily' },
+        metric: { type: 'enum', values: Leaderboard.METRICS, default: 'profit' }
+    },
+    place_bet: {
+        amount: { type: 'number', min: 0, cents: true },
+        autoCashOut: { type: 'number', nullable: true, default: null, min: 1.01, max: MAX_AUTO_CASH_OUT },
+        slot: { type: 'integer', default: 0, min: 0, max: BET_SLOTS - 1 },
+        timestamp: TIMESTAMP
+    },
+    cash_out: {
+        betId: { type: 'string', pattern: UUID_PATTERN },
+        fraction: { type: 'number', default: 1, min: 0.01, max: 1 },
+        timestamp: TIMESTAMP
+    },
+    cancel_bet: {
+        betId: { type: 'string', pattern: UUID_PATTERN }
+    },
+    start_auto_bet: {
+        rounds: { type: 'integer', min: 1, max: MAX_AUTO_BET_ROUNDS },
+        baseBet: { type: 'number', min: 0, cents: true },
+        autoCashOut: { type: 'number', min: 1.01, max: MAX_AUTO_CASH_OUT },
+        slot: { type: 'integer', default: 0, min: 0, max: BET_SLOTS - 1 },
+        onWin: { type: 'enum', values: AutoBetManager.ADJUSTMENTS, default: 'reset' },
+        onWinValue: { type: 'number', default: 0, min: 0, max: MAX_ADJUSTMENT },
+        onLoss: { type: 'enum', values: AutoBetManager.ADJUSTMENTS, default: 'reset' },
+        onLossValue: { type: 'number', default: 0, min: 0, max: MAX_ADJUSTMENT },
+        stopOnProfit: { type: 'number', nullable: true, default: null, min: 0.01 },
+        stopOnLoss: { type: 'number', nullable: true, default: null, min: 0.01 }
+    },
+    stop_auto_bet: {},
+    contribute_seed: {
+        seed: { type: 'string', pattern: SEED_PATTERN }
+    },
+    chat_message: {
+        text: { type: 'string', sanitize: sanitizeText, maxLength: 2000 }
+    }
+};
+
+function checkField(name, value, field) {
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (field.maxLength && value.length > field.maxLength) return `${name} must have at most ${field.maxLength} characters`;
+            if (field.pattern && !field.pattern.test(value)) return `${name} has an invalid format`;
+            return null;
+            
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+            if (field.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+            if (field.cents && Math.round(value * 100) / 100 !== value) return `${name} must be in whole cents`;
+            if (field.min !== undefined && value < field.min) return `${name} must be at least ${field.min}`;
+            if (field.max !== undefined && value > field.max) return `${name} must be at most ${field.max}`;
+            return null;
+            
+        case 'enum':
+            if (!field.values.includes(value)) return `${name} must be one of ${field.values.join(', ')}`;
+            return null;
+            
+        default:
+            return `${name} has an unknown type`;
+    }
+}
+
+// Returns { valid: true, value } with the cleaned payload, or { valid: false, field, error }
+function validatePayload(event, data) {
+    const schema = SCHEMAS[event];
+    if (!schema) {
+        return { valid: false, field: null, error: `Unknown event ${event}` };
+    }
+    
+    const payload = data === undefined || data === null ? {} : data;
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, field: null, error: 'Payload must be an object' };
+    }
+    
+    const value = {};
+    
+    for (const [name, field] of Object.entries(schema)) {
+        let fieldValue = payload[name];
+        
+        if (fieldValue === undefined) {
+            if (field.default !== undefined) {
+                value[name] = field.default;
+                continue;
+            }
+            if (field.optional) continue;
+            return { valid: false, field: name, error: `${name} is required` };
+        }
+        
+        if (fieldValue === null) {
+            if (!field.nullable) return { valid: false, field: name, error: `${name} must not be null` };
+            value[name] = null;
+            continue;
+        }
+        
+        // Strings are cleaned before the length check
+        if (field.sanitize && typeof fieldValue === 'string') {
+            fieldValue = field.sanitize(fieldValue);
+        }
+        
+        const error = checkField(name, fieldValue, field);
+        if (error) {
+            return { valid: false, field: name, error };
+        }
+        
+        value[name] = fieldValue;
+    }
+    
+    return { valid: true, value };
+}
+
+module.exports = {
+    SCHEMAS,
+    validatePayload,
+    sanitizeName,
+    sanitizeText,
+    NAME_MAX_LENGTH,
+    MAX_AUTO_CASH_OUT
+};
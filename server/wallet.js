@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Ledger entry types
+const ENTRY_TYPES = {
+    DEPOSIT: 'deposit',
+    BET: 'bet',
+    PAYOUT: 'payout',
+    REFUND: 'refund',
+    ADJUSTMENT: 'adjustment'
+};
+
+// Amounts are summed in integer cents so balances never drift from float error
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+class Wallet extends EventEmitter {
+    constructor() {
+        super();
+        
+        // The entries themselves live in storage, only their count is kept
+        this.entryCount = 0;
+        this.balances = new Map(); // playerId -> cents, cache derived from the ledger
+        
+        this.lastReconciliation = null;
+    }
+    
+    // Start from the sums of the stored ledger ({ entries, balances } as
+    // Repository.getLedgerBalances returns them) without emitting events
+    load({ entries, balances }) {
+        this.entryCount = entries;
+        this.balances = new Map(balances);
+    }
+    
+    record(playerId, type, amount, details = {}) {
+        const cents = toCents(amount);
+        const balance = (this.balances.get(playerId) || 0) + cents;
+        
+        const entry = Object.freeze({
+            id: crypto.randomUUID(),
+            playerId: playerId,
+            type: type,
+            amount: cents / 100,
+            balanceAfter: balance / 100,
+            reason: details.reason || type,
+            roundId: details.roundId ?? null,
+            betId: details.betId ?? null,
+            createdAt: Date.now()
+        });
+        
+        this.entryCount++;
+        this.balances.set(playerId, balance);
+        
+        this.emit('entry', entry);
+        
+        return entry;
+    }
+    
+    deposit(playerId, amount, reason) {
+        return this.record(playerId, ENTRY_TYPES.DEPOSIT, amount, { reason });
+    }
+    
+    debitBet(playerId, amount, roundId, betId = null) {
+        if (toCents(amount) > (this.balances.get(playerId) || 0)) {
+            return { success: false, code: 'insufficient_balance', error: 'Insufficient balance' };
+        }
+        
+        const entry = this.record(playerId, ENTRY_TYPES.BET, -amount, { reason: 'bet_placed', roundId, betId });
+        return { success: true, entry };
+    }
+    
+    creditPayout(playerId, amount, roundId, betId = null) {
+        return this.record(playerId, ENTRY_TYPES.PAYOUT, amount, { reason: 'cash_out', roundId, betId });
+    }
+    
+    refund(playerId, amount, roundId, reason) {
+        return this.record(playerId, ENTRY_TYPES.REFUND, amount, { reason, roundId });
+    }
+    
+    adjust(playerId, amount, reason) {
+        return this.record(playerId, ENTRY_TYPES.ADJUSTMENT, amount, { reason });
+    }
+    
+    hasAccount(playerId) {
+        return this.balances.has(playerId);
+    }
+    
+    getBalance(playerId) {
+        return (this.balances.get(playerId) || 0) / 100;
+    }
+    
+    getTotalBalance() {
+        let total = 0;
+        for (const cents of this.balances.values()) {
+            total += cents;
+        }
+        return total / 100;
+    }
+    
+    // Compare the cached balances with the ledger as storage holds it, so a
+    // lost write or a balance changed outside the ledger shows up as drift
+    async reconcile(repository) {
+        // Taken before the read: storage answers for every entry recorded so far
+        const cached = new Map(this.balances);
+        const entries = this.entryCount;
+        
+        const stored = await repository.getLedgerBalances();
+        
+        const playerIds = new Set([...stored.balances.keys(), ...cached.keys()]);
+        const drift = [];
+        
+        for (const playerId of playerIds) {
+            const ledger = stored.balances.get(playerId) || 0;
+            const balance = cached.get(playerId) || 0;
+            
+            if (ledger !== balance) {
+                drift.push({
+                    playerId: playerId,
+                    ledgerBalance: ledger / 100,
+                    cachedBalance: balance / 100,
+                    drift: (balance - ledger) / 100
+                });
+            }
+        }
+        
+        this.lastReconciliation = {
+            checkedAt: Date.now(),
+            players: playerIds.size,
+            entries: entries,
+            storedEntries: stored.entries,
+            drift: drift
+        };
+        
+        if (drift.length > 0 || stored.entries !== entries) {
+            this.emit('drift', this.lastReconciliation);
+        }
+        
+        return this.lastReconciliation;
+    }
+    
+    getStats() {
+        return {
+            entries: this.entryCount,
+            accounts: this.balances.size,
+            totalBalance: this.getTotalBalance(),
+            lastReconciliation: this.lastReconciliation
+        };
+    }
+}
+
+Wallet.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = Wallet;
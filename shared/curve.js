@@ -0,0 +1,94 @@
+// Multiplier growth curves (shared by server and client)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GrowthCurve = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CURVES = {
+        // Original curve: linear growth with gradual acceleration
+        polynomial: {
+            defaults: {
+                baseGrowth: 0.02, // 2% per second base
+                acceleration: 0.001
+            },
+            multiplierAt(time, params) {
+                return 1 + (params.baseGrowth * time) + (params.acceleration * Math.pow(time, 1.5));
+            }
+        },
+        
+        // True exponential growth, doubles every ln(2) / rate seconds
+        exponential: {
+            defaults: {
+                rate: 0.06
+            },
+            multiplierAt(time, params) {
+                return Math.exp(params.rate * time);
+            },
+            timeAt(multiplier, params) {
+                return Math.log(multiplier) / params.rate;
+            }
+        }
+    };
+    
+    // Generic inverse for curves without a closed form (all curves are increasing)
+    function solveTime(curve, params, multiplier) {
+        if (multiplier <= 1) return 0;
+        
+        let low = 0;
+        let high = 1;
+        while (curve.multiplierAt(high, params) < multiplier) {
+            high *= 2;
+        }
+        
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (curve.multiplierAt(mid, params) < multiplier) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return high;
+    }
+    
+    function createCurve(options = {}) {
+        const type = options.type || 'polynomial';
+        const curve = CURVES[type];
+        
+        if (!curve) {
+            throw new Error(`Unknown growth curve: ${type}`);
+        }
+        
+        const params = { ...curve.defaults, ...options.params };
+        
+        return {
+            type: type,
+            params: params,
+            
+            // Multiplier after `time` seconds of flight
+            multiplierAt(time) {
+                return curve.multiplierAt(Math.max(0, time), params);
+            },
+            
+            // Seconds of flight needed to reach `multiplier`
+            timeAt(multiplier) {
+                return curve.timeAt
+                    ? Math.max(0, curve.timeAt(multiplier, params))
+                    : solveTime(curve, params, multiplier);
+            },
+            
+            describe() {
+                return { type: type, params: params };
+            }
+        };
+    }
+    
+    return {
+        CURVES,
+        createCurve
+    };
+});
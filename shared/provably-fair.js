@@ -0,0 +1,34 @@
+// Provably fair crash point calculation (shared by server and client)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ProvablyFair = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Share of every bet the house keeps in the long run (1%)
+    const DEFAULT_HOUSE_EDGE = 0.01;
+    
+    // Number of hex chars (52 bits) used to derive the crash point
+    const HASH_SLICE = 13;
+    
+    // Maps the hash to a uniform r in [0, 1) and the crash point to
+    // (1 - houseEdge) / (1 - r) floored to the cent, so P(crash >= x) =
+    // (1 - houseEdge) / x for any x in cents. A target x is paid only when the
+    // crash point is above it, which returns (1 - houseEdge) * x / (x + 0.01)
+    function crashPointFromHash(hash, options = {}) {
+        const { houseEdge = DEFAULT_HOUSE_EDGE, maxMultiplier = Infinity } = options;
+        
+        const r = parseInt(hash.slice(0, HASH_SLICE), 16) / Math.pow(2, HASH_SLICE * 4);
+        const crashPoint = Math.max(1, Math.floor((100 * (1 - houseEdge)) / (1 - r)) / 100);
+        
+        // Capped at the configured max multiplier
+        return Math.min(crashPoint, maxMultiplier);
+    }
+    
+    return {
+        DEFAULT_HOUSE_EDGE,
+        crashPointFromHash
+    };
+});